@@ -0,0 +1,111 @@
+// Helpers for the JSONL event stream printed by `codex exec --json`.
+
+function clip(text, maxLength) {
+  const value = String(text ?? "").replace(/\s+/g, " ").trim();
+  if (value.length <= maxLength) return value;
+  return `${value.slice(0, maxLength - 3)}...`;
+}
+
+function unwrapShellCommand(command) {
+  const value = Array.isArray(command) ? command.join(" ") : String(command ?? "");
+  const match = value.match(/^(?:\S*[\\/])?(?:ba|z)?sh\s+-l?c\s+(['"])([\s\S]*)\1$/);
+  return match ? match[2] : value;
+}
+
+export function createJsonlParser(onEvent) {
+  let buffer = "";
+
+  const handleLine = (line) => {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith("{")) return;
+    try {
+      onEvent(JSON.parse(trimmed));
+    } catch {
+      // ignore non-JSON noise on stdout
+    }
+  };
+
+  return {
+    push(chunk) {
+      const lines = (buffer + chunk).split("\n");
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    },
+    end() {
+      if (buffer) {
+        handleLine(buffer);
+        buffer = "";
+      }
+    },
+  };
+}
+
+export function extractThreadId(event) {
+  if (event?.type === "thread.started" && typeof event.thread_id === "string") {
+    return event.thread_id;
+  }
+  return null;
+}
+
+export function extractAgentMessage(event) {
+  if (event?.type === "item.completed" && event.item?.type === "agent_message") {
+    return String(event.item.text ?? "");
+  }
+  return null;
+}
+
+export function extractErrorMessage(event) {
+  if (event?.type === "turn.failed") {
+    return String(event.error?.message ?? "turn failed");
+  }
+  if (event?.type === "error") {
+    return String(event.message ?? "error");
+  }
+  return null;
+}
+
+// Returns one progress line for the event, or null if it is not worth reporting
+// at the given verbosity ("normal" or "verbose").
+export function describeCodexEvent(event, verbosity) {
+  const item = event?.item;
+  if (!item) return null;
+  const verbose = verbosity === "verbose";
+
+  if (event.type === "item.started") {
+    switch (item.type) {
+      case "command_execution":
+        return `$ ${clip(unwrapShellCommand(item.command), 200)}`;
+      case "mcp_tool_call":
+        return `tool: ${clip([item.server, item.tool].filter(Boolean).join("."), 120)}`;
+      case "web_search":
+        return `search: ${clip(item.query, 120)}`;
+      default:
+        return null;
+    }
+  }
+
+  if (event.type === "item.completed") {
+    switch (item.type) {
+      case "file_change": {
+        const changes = Array.isArray(item.changes) ? item.changes : [];
+        if (changes.length === 0) return null;
+        const listed = changes.map((change) => `${change.kind || "update"} ${change.path}`);
+        return `files: ${clip(listed.join(", "), 300)}`;
+      }
+      case "command_execution":
+        if (!verbose && (item.exit_code ?? 0) === 0) return null;
+        return `  exit ${item.exit_code ?? "?"}`;
+      case "reasoning":
+        return verbose && item.text ? `thinking: ${clip(item.text.replace(/\*\*/g, ""), 300)}` : null;
+      case "todo_list": {
+        if (!verbose || !Array.isArray(item.items)) return null;
+        const done = item.items.filter((todo) => todo.completed).length;
+        return `plan: ${done}/${item.items.length} done`;
+      }
+      default:
+        return null;
+    }
+  }
+
+  return null;
+}
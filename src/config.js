@@ -41,10 +41,76 @@ function parseBool(value, fallback = false) {
   return normalized === "1" || normalized === "true" || normalized === "yes" || normalized === "on";
 }
 
-function normalizePhoneNumber(raw) {
+function parseEnum(name, value, allowed, fallback) {
+  if (value === undefined || value === null || value === "") {
+    return fallback;
+  }
+  const normalized = String(value).trim().toLowerCase();
+  if (!allowed.includes(normalized)) {
+    throw new Error(`${name} must be one of ${allowed.join(", ")}, got "${value}"`);
+  }
+  return normalized;
+}
+
+function parseHttpApi(env, users) {
+  const port = parsePositiveInt("HTTP_API_PORT", env.HTTP_API_PORT, null);
+  if (!port) {
+    return null;
+  }
+  if (port > 65535) {
+    throw new Error(`HTTP_API_PORT must be a TCP port, got "${env.HTTP_API_PORT}"`);
+  }
+
+  const host = String(env.HTTP_API_HOST || "127.0.0.1").trim();
+  if (!["127.0.0.1", "::1", "localhost"].includes(host)) {
+    throw new Error(`HTTP_API_HOST must be a loopback address (127.0.0.1, ::1, localhost), got "${host}"`);
+  }
+
+  const token = String(env.HTTP_API_TOKEN || "").trim();
+  if (token.length < 16) {
+    throw new Error("HTTP_API_TOKEN must be set (at least 16 characters) when HTTP_API_PORT is set");
+  }
+
+  const userNumber = env.HTTP_API_USER ? normalizePhoneNumber(env.HTTP_API_USER, "HTTP_API_USER") : users[0].number;
+  if (!users.some((user) => user.number === userNumber)) {
+    throw new Error(`HTTP_API_USER must be one of the allowed numbers, got "${env.HTTP_API_USER}"`);
+  }
+
+  return { host, port, token, userNumber };
+}
+
+function parseSessionName(name, value, fallback) {
+  const selected = String(value ?? "").trim() || fallback;
+  if (!/^[A-Za-z0-9_-]{1,64}$/.test(selected)) {
+    throw new Error(`${name} must match [A-Za-z0-9_-], max 64 chars, got "${selected}"`);
+  }
+  return selected;
+}
+
+function parseRelativeDir(name, value, fallback) {
+  const selected = String(value ?? "").trim() || fallback;
+  const normalized = path.normalize(selected);
+  if (path.isAbsolute(normalized) || normalized === ".." || normalized.startsWith(`..${path.sep}`)) {
+    throw new Error(`${name} must be a relative folder inside the workdir, got "${selected}"`);
+  }
+  return normalized;
+}
+
+export const USER_ROLES = ["read-only", "operator", "admin"];
+
+function parseGroupJids(name, value) {
+  const jids = parseJsonStringArray(name, value, []).map((jid) => jid.trim());
+  const invalid = jids.find((jid) => !/^[0-9-]+@g\.us$/.test(jid));
+  if (invalid) {
+    throw new Error(`${name} entries must be group JIDs like "1203630xxxxxxxx@g.us", got "${invalid}"`);
+  }
+  return jids;
+}
+
+function normalizePhoneNumber(raw, name = "ALLOWED_WHATSAPP_NUMBER") {
   let digits = String(raw ?? "").replace(/\D/g, "");
   if (!digits) {
-    throw new Error("ALLOWED_WHATSAPP_NUMBER is required (country code + number, digits only)");
+    throw new Error(`${name} is required (country code + number, digits only)`);
   }
 
   // Accept international prefix form like 0049... and normalize to 49...
@@ -55,6 +121,35 @@ function normalizePhoneNumber(raw) {
   return digits;
 }
 
+function parseAllowedUsers(name, value, primaryNumber) {
+  const users = [{ number: primaryNumber, role: "admin" }];
+  if (!value) {
+    return users;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch (error) {
+    throw new Error(`${name} must be valid JSON: ${error.message}`);
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    throw new Error(`${name} must be a JSON object like {"491234567890":"operator"}`);
+  }
+
+  for (const [rawNumber, rawRole] of Object.entries(parsed)) {
+    const number = normalizePhoneNumber(rawNumber, `${name} key`);
+    const role = parseEnum(`${name} role for ${number}`, rawRole, USER_ROLES, "operator");
+    const existing = users.find((user) => user.number === number);
+    if (existing) {
+      existing.role = role;
+    } else {
+      users.push({ number, role });
+    }
+  }
+  return users;
+}
+
 function resolvePath(inputPath, fallback) {
   const selected = inputPath && String(inputPath).trim() ? inputPath : fallback;
   return path.resolve(selected);
@@ -85,22 +180,76 @@ export function loadConfig() {
   const allowedNumber = normalizePhoneNumber(process.env.ALLOWED_WHATSAPP_NUMBER);
   const stateRoot = resolvePath(process.env.STATE_ROOT, stateRootDefault);
 
+  const users = parseAllowedUsers("ALLOWED_USERS_JSON", process.env.ALLOWED_USERS_JSON, allowedNumber)
+    .map((user) => ({ ...user, jid: `${user.number}@s.whatsapp.net` }));
+
   return {
     allowedNumber,
     allowedJid: `${allowedNumber}@s.whatsapp.net`,
+    users,
+    transport: parseEnum("TRANSPORT", process.env.TRANSPORT, ["whatsapp", "console"], "whatsapp"),
+    allowedGroupJids: parseGroupJids("ALLOWED_GROUP_JIDS_JSON", process.env.ALLOWED_GROUP_JIDS_JSON),
+    groupTriggerPrefix: String(process.env.GROUP_TRIGGER_PREFIX ?? "!codex").trim(),
     codexCommand: resolveCodexCommand(process.env.CODEX_COMMAND),
     codexExtraArgs: parseJsonStringArray("CODEX_EXTRA_ARGS_JSON", process.env.CODEX_EXTRA_ARGS_JSON, []),
     codexWorkdir: resolvePath(process.env.CODEX_WORKDIR, process.cwd()),
+    allowedWorkdirRoots: parseJsonStringArray("ALLOWED_WORKDIR_ROOTS", process.env.ALLOWED_WORKDIR_ROOTS, [])
+      .map((root) => path.resolve(root)),
     codexTimeoutMs: parsePositiveInt("CODEX_TIMEOUT_MS", process.env.CODEX_TIMEOUT_MS, 300000),
+    killGraceMs: parsePositiveInt("KILL_GRACE_MS", process.env.KILL_GRACE_MS, 5000),
+    pcTerminal: parseEnum(
+      "PC_TERMINAL",
+      process.env.PC_TERMINAL,
+      ["auto", "windows", "tmux", "screen", "launcher"],
+      "auto"
+    ),
+    pcSessionName: parseSessionName("PC_SESSION_NAME", process.env.PC_SESSION_NAME, "codex-whatsapp"),
+    pcLauncher: parseJsonStringArray("PC_LAUNCHER_JSON", process.env.PC_LAUNCHER_JSON, []),
+    progressMode: parseEnum(
+      "PROGRESS_MODE",
+      process.env.PROGRESS_MODE,
+      ["off", "normal", "verbose"],
+      "normal"
+    ),
+    progressIntervalMs: parsePositiveInt("PROGRESS_INTERVAL_MS", process.env.PROGRESS_INTERVAL_MS, 15000),
     maxQueue: parsePositiveInt("MAX_QUEUE", process.env.MAX_QUEUE, 10),
+    queueRestore: parseEnum("QUEUE_RESTORE", process.env.QUEUE_RESTORE, ["run", "discard"], "run"),
+    maxSchedules: parsePositiveInt("MAX_SCHEDULES", process.env.MAX_SCHEDULES, 20),
+    scheduleCatchup: parseEnum("SCHEDULE_CATCHUP", process.env.SCHEDULE_CATCHUP, ["once", "skip"], "once"),
+    scheduleCatchupWindowMs: parsePositiveInt(
+      "SCHEDULE_CATCHUP_WINDOW_MS",
+      process.env.SCHEDULE_CATCHUP_WINDOW_MS,
+      6 * 60 * 60 * 1000
+    ),
+    maxImageBytes: parsePositiveInt("MAX_IMAGE_BYTES", process.env.MAX_IMAGE_BYTES, 20 * 1024 * 1024),
+    maxDocumentBytes: parsePositiveInt("MAX_DOCUMENT_BYTES", process.env.MAX_DOCUMENT_BYTES, 50 * 1024 * 1024),
+    inboxDir: parseRelativeDir("INBOX_DIR", process.env.INBOX_DIR, "whatsapp-inbox"),
+    maxSendBytes: parsePositiveInt("MAX_SEND_BYTES", process.env.MAX_SEND_BYTES, 50 * 1024 * 1024),
+    maxGetFiles: parsePositiveInt("MAX_GET_FILES", process.env.MAX_GET_FILES, 10),
     maxResponseChars: parsePositiveInt("MAX_RESPONSE_CHARS", process.env.MAX_RESPONSE_CHARS, 14000),
+    overflowMode: parseEnum("OVERFLOW_MODE", process.env.OVERFLOW_MODE, ["attach", "truncate"], "attach"),
     chunkSize: parsePositiveInt("CHUNK_SIZE", process.env.CHUNK_SIZE, 3200),
+    redactSecrets: parseBool(process.env.REDACT_SECRETS, true),
+    redactPatterns: parseJsonStringArray("REDACT_PATTERNS_JSON", process.env.REDACT_PATTERNS_JSON, []),
+    changeReport: parseBool(process.env.CHANGE_REPORT, true),
+    checkpoints: parseBool(process.env.CHECKPOINTS, true),
+    checkpointMaxPerUser: parsePositiveInt("CHECKPOINT_MAX_PER_USER", process.env.CHECKPOINT_MAX_PER_USER, 20),
+    checkpointMaxDays: parsePositiveInt("CHECKPOINT_MAX_DAYS", process.env.CHECKPOINT_MAX_DAYS, 7),
+    changeSnapshotMaxFiles: parsePositiveInt("CHANGE_SNAPSHOT_MAX_FILES", process.env.CHANGE_SNAPSHOT_MAX_FILES, 5000),
+    changeSnapshotMaxBytes: parsePositiveInt(
+      "CHANGE_SNAPSHOT_MAX_BYTES",
+      process.env.CHANGE_SNAPSHOT_MAX_BYTES,
+      50 * 1024 * 1024
+    ),
+    historyMaxEntries: parsePositiveInt("HISTORY_MAX_ENTRIES", process.env.HISTORY_MAX_ENTRIES, 500),
+    historyMaxDays: parsePositiveInt("HISTORY_MAX_DAYS", process.env.HISTORY_MAX_DAYS, 30),
     reconnectDelayMs: parsePositiveInt("RECONNECT_DELAY_MS", process.env.RECONNECT_DELAY_MS, 5000),
     stateRoot,
     authDir: resolvePath(process.env.AUTH_DIR, path.join(stateRoot, "session")),
     runtimeDir: resolvePath(process.env.RUNTIME_DIR, path.join(stateRoot, "runtime")),
     logLevel: process.env.LOG_LEVEL || "info",
     logRawEvents: parseBool(process.env.LOG_RAW_EVENTS, false),
+    httpApi: parseHttpApi(process.env, users),
   };
 }
 
@@ -110,12 +259,23 @@ export function formatConfigSummary(config) {
     : config.allowedNumber;
 
   return [
+    `Transport: ${config.transport}`,
     `Allowed number: ${masked}`,
+    `Allowed users: ${config.users.length} (${config.users.map((user) => user.role).join(", ")})`,
+    `Allowed groups: ${config.allowedGroupJids.length}`,
     `Codex command: ${config.codexCommand}`,
     `Codex workdir: ${config.codexWorkdir}`,
+    `Workdir roots: ${config.allowedWorkdirRoots.length > 0 ? config.allowedWorkdirRoots.join(", ") : "(any folder)"}`,
     `Auth dir: ${config.authDir}`,
     `Runtime dir: ${config.runtimeDir}`,
-    `Max queue: ${config.maxQueue}`,
+    `PC terminal: ${config.pcTerminal}`,
+    `Progress: ${config.progressMode} (every ${config.progressIntervalMs} ms)`,
+    `Max queue: ${config.maxQueue} (restore after restart: ${config.queueRestore})`,
+    `Schedules: max ${config.maxSchedules} per user, catch-up ${config.scheduleCatchup} within ${config.scheduleCatchupWindowMs} ms`,
     `Timeout ms: ${config.codexTimeoutMs}`,
+    `Secret redaction: ${config.redactSecrets ? `on (${config.redactPatterns.length} custom pattern(s))` : "off"}`,
+    `Change report: ${config.changeReport ? "on" : "off"}`,
+    `Checkpoints: ${config.checkpoints ? `on (max ${config.checkpointMaxPerUser} per user, ${config.checkpointMaxDays} days)` : "off"}`,
+    `HTTP API: ${config.httpApi ? `http://${config.httpApi.host}:${config.httpApi.port}` : "off"}`,
   ].join("\n");
 }
@@ -0,0 +1,135 @@
+import { execFile } from "node:child_process";
+import fs from "node:fs/promises";
+import path from "node:path";
+
+// Small git helpers shared by the change report, checkpoints and the
+// per-session worktrees. Commands never throw; callers check `ok`.
+
+// Gateway-made commits must not depend on the user's git identity being configured.
+export const GATEWAY_GIT_IDENTITY = {
+  GIT_AUTHOR_NAME: "codex-gateway",
+  GIT_AUTHOR_EMAIL: "codex-gateway@localhost",
+  GIT_COMMITTER_NAME: "codex-gateway",
+  GIT_COMMITTER_EMAIL: "codex-gateway@localhost",
+};
+
+export function runGit(args, { cwd, env, input } = {}) {
+  return new Promise((resolve) => {
+    const child = execFile(
+      "git",
+      ["-c", "core.quotePath=false", ...args],
+      { cwd, env: env ? { ...process.env, ...env } : process.env, maxBuffer: 64 * 1024 * 1024, windowsHide: true },
+      (error, stdout, stderr) => {
+        resolve({ ok: !error, stdout: String(stdout || ""), stderr: String(stderr || "") });
+      }
+    );
+    // git may exit before reading stdin; the exit status reports the failure.
+    child.stdin.on("error", () => {});
+    child.stdin.end(input);
+  });
+}
+
+export async function findGitRoot(workdir) {
+  const result = await runGit(["rev-parse", "--show-toplevel"], { cwd: workdir });
+  return result.ok ? result.stdout.trim() : null;
+}
+
+async function gitOrThrow(args, options) {
+  const result = await runGit(args, options);
+  if (!result.ok) {
+    throw new Error(`git ${args[0]} failed: ${(result.stderr || result.stdout).trim()}`);
+  }
+  return result.stdout.trim();
+}
+
+// The user's identity when configured, otherwise the gateway's.
+async function commitIdentityEnv(cwd) {
+  const ident = await runGit(["var", "GIT_AUTHOR_IDENT"], { cwd });
+  return ident.ok ? undefined : GATEWAY_GIT_IDENTITY;
+}
+
+/**
+ * Creates `branch` from the current HEAD of the repo containing `workdir`
+ * and checks it out as a new worktree at `worktreePath`.
+ * Returns { path, branch, baseBranch, repoRoot, subdir }.
+ */
+export async function createWorktree(workdir, { worktreePath, branch }) {
+  const repoRoot = await findGitRoot(workdir);
+  if (!repoRoot) {
+    throw new Error(`Not a git repository: ${workdir}`);
+  }
+  const baseBranch = await gitOrThrow(["symbolic-ref", "--short", "HEAD"], { cwd: repoRoot })
+    .catch(() => {
+      throw new Error("The checkout has no branch (detached HEAD or no commits yet).");
+    });
+  await gitOrThrow(["check-ref-format", "--branch", branch], { cwd: repoRoot });
+  await fs.mkdir(path.dirname(worktreePath), { recursive: true });
+  await gitOrThrow(["worktree", "add", "-b", branch, worktreePath, "HEAD"], { cwd: repoRoot });
+  // Relative to the git top level, so nested workdirs map into the worktree.
+  const realWorkdir = await fs.realpath(workdir);
+  const realRoot = await fs.realpath(repoRoot);
+  return { path: worktreePath, branch, baseBranch, repoRoot, subdir: path.relative(realRoot, realWorkdir) };
+}
+
+export async function getWorktreeStatus(worktree) {
+  const ahead = await runGit(["rev-list", "--count", `${worktree.baseBranch}..${worktree.branch}`], { cwd: worktree.repoRoot });
+  const status = await runGit(["status", "--porcelain"], { cwd: worktree.path });
+  return {
+    exists: status.ok,
+    commitsAhead: ahead.ok ? Number(ahead.stdout.trim()) : null,
+    uncommitted: status.ok ? status.stdout.split("\n").filter(Boolean).length : null,
+  };
+}
+
+/**
+ * Commits whatever is left uncommitted in the worktree, then merges its branch
+ * into the base branch of the main checkout (which must have it checked out).
+ * A failed merge is aborted, leaving both checkouts as they were.
+ * Returns { committed, merged }: committed is the sha of the leftover-changes
+ * commit (or null), merged the merge commit sha.
+ */
+export async function mergeWorktree(worktree, { message }) {
+  const current = await runGit(["symbolic-ref", "--short", "HEAD"], { cwd: worktree.repoRoot });
+  if (!current.ok || current.stdout.trim() !== worktree.baseBranch) {
+    throw new Error(
+      `${worktree.repoRoot} is on ${current.ok ? current.stdout.trim() : "a detached HEAD"}, not ${worktree.baseBranch}. Check out ${worktree.baseBranch} there first.`
+    );
+  }
+
+  let committed = null;
+  const status = await gitOrThrow(["status", "--porcelain"], { cwd: worktree.path });
+  if (status) {
+    const env = await commitIdentityEnv(worktree.path);
+    await gitOrThrow(["add", "-A"], { cwd: worktree.path });
+    await gitOrThrow(["commit", "-q", "-m", message], { cwd: worktree.path, env });
+    committed = await gitOrThrow(["rev-parse", "HEAD"], { cwd: worktree.path });
+  }
+
+  const env = await commitIdentityEnv(worktree.repoRoot);
+  const merge = await runGit(["merge", "--no-ff", "-m", `Merge ${worktree.branch}: ${message}`, worktree.branch], {
+    cwd: worktree.repoRoot,
+    env,
+  });
+  if (!merge.ok) {
+    await runGit(["merge", "--abort"], { cwd: worktree.repoRoot });
+    throw new Error(`merge into ${worktree.baseBranch} failed and was aborted: ${(merge.stderr || merge.stdout).trim()}`);
+  }
+  const merged = await gitOrThrow(["rev-parse", "HEAD"], { cwd: worktree.repoRoot });
+  return { committed, merged };
+}
+
+/**
+ * Removes the worktree folder and deletes its branch, uncommitted changes
+ * included. Returns the branch tip sha so the branch can be recreated.
+ */
+export async function removeWorktree(worktree) {
+  const tip = await runGit(["rev-parse", "--verify", worktree.branch], { cwd: worktree.repoRoot });
+  const removed = await runGit(["worktree", "remove", "--force", worktree.path], { cwd: worktree.repoRoot });
+  if (!removed.ok) {
+    // Already deleted by hand: drop the stale registration instead.
+    await fs.rm(worktree.path, { recursive: true, force: true });
+    await runGit(["worktree", "prune"], { cwd: worktree.repoRoot });
+  }
+  await runGit(["branch", "-D", worktree.branch], { cwd: worktree.repoRoot });
+  return tip.ok ? tip.stdout.trim() : null;
+}
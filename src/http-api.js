@@ -0,0 +1,101 @@
+import crypto from "node:crypto";
+import http from "node:http";
+
+// Small JSON-over-HTTP front door for local tools. Routing, auth and body
+// parsing live here; the gateway passes in the handlers that touch its state.
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+export function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function isAuthorized(req, token) {
+  const header = String(req.headers.authorization || "");
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (!match) return false;
+  const given = Buffer.from(match[1].trim());
+  const expected = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw httpError(413, `Body larger than ${MAX_BODY_BYTES} bytes`);
+    }
+    chunks.push(chunk);
+  }
+  if (size === 0) return {};
+  try {
+    const parsed = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+      throw new Error("expected a JSON object");
+    }
+    return parsed;
+  } catch (error) {
+    throw httpError(400, `Invalid JSON body: ${error.message}`);
+  }
+}
+
+function sendJson(res, statusCode, payload) {
+  const body = `${JSON.stringify(payload)}\n`;
+  res.writeHead(statusCode, {
+    "content-type": "application/json; charset=utf-8",
+    "content-length": Buffer.byteLength(body),
+  });
+  res.end(body);
+}
+
+/**
+ * Routes:
+ *   GET  /status      -> handlers.getStatus()
+ *   POST /jobs        -> handlers.enqueue(body)
+ *   GET  /jobs/:id    -> handlers.getJob(id)
+ *   POST /notify      -> handlers.notify(body)
+ * Handlers return `{ statusCode?, payload }` or throw (see httpError).
+ */
+export function startHttpApi({ host, port, token, logger, handlers }) {
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url || "/", "http://localhost");
+    try {
+      if (!isAuthorized(req, token)) {
+        throw httpError(401, "Missing or invalid bearer token");
+      }
+
+      let result;
+      const jobMatch = url.pathname.match(/^\/jobs\/([^/]+)$/);
+      if (req.method === "GET" && url.pathname === "/status") {
+        result = await handlers.getStatus();
+      } else if (req.method === "POST" && url.pathname === "/jobs") {
+        result = await handlers.enqueue(await readJsonBody(req));
+      } else if (req.method === "GET" && jobMatch) {
+        result = await handlers.getJob(decodeURIComponent(jobMatch[1]));
+      } else if (req.method === "POST" && url.pathname === "/notify") {
+        result = await handlers.notify(await readJsonBody(req));
+      } else {
+        throw httpError(404, `No route for ${req.method} ${url.pathname}`);
+      }
+      sendJson(res, result.statusCode || 200, result.payload);
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      if (statusCode >= 500) {
+        logger.error({ err: error, path: url.pathname }, "http api request failed");
+      }
+      sendJson(res, statusCode, { error: error.message });
+    }
+  });
+
+  server.on("error", (error) => {
+    logger.error({ err: error, host, port }, "http api server error");
+  });
+  server.listen(port, host, () => {
+    logger.info({ host, port }, "http api listening");
+  });
+  return server;
+}
@@ -3,21 +3,47 @@ import fs from "node:fs/promises";
 import os from "node:os";
 import path from "node:path";
 import { spawn } from "node:child_process";
+import { fileURLToPath } from "node:url";
 
-import makeWASocket, {
-  DisconnectReason,
-  fetchLatestBaileysVersion,
-  getContentType,
-  normalizeMessageContent,
-  useMultiFileAuthState,
-} from "@whiskeysockets/baileys";
 import pino from "pino";
-import qrcode from "qrcode-terminal";
 
+import {
+  createJsonlParser,
+  describeCodexEvent,
+  extractAgentMessage,
+  extractErrorMessage,
+  extractThreadId,
+} from "./codex-events.js";
 import { formatConfigSummary, loadConfig } from "./config.js";
+import { createWorktree, getWorktreeStatus, mergeWorktree, removeWorktree } from "./git.js";
+import { httpError, startHttpApi } from "./http-api.js";
+import { numberChunks, splitChunks, splitHead } from "./message-format.js";
+import { collectEnvSecrets, compileRedactPatterns, redactSecrets } from "./redact.js";
+import { nextCronRun, parseAtTime, parseCron } from "./schedule.js";
+import {
+  assertValidSessionName,
+  findSession,
+  hasSession,
+  isValidSessionName,
+  normalizeSessionName,
+} from "./sessions.js";
+import { createTransport } from "./transport.js";
+import {
+  captureWorkdirState,
+  compareWorkdirStates,
+  deleteCheckpoint,
+  filterPatch,
+  formatChangeSummary,
+  restoreCheckpoint,
+  saveCheckpoint,
+  walkFiles,
+} from "./workdir-state.js";
+import { expandGetTargets, isPathInside } from "./workdir-paths.js";
+import { createZip } from "./zip.js";
 
 const config = loadConfig();
 const logger = pino({ level: config.logLevel });
+const redactPatterns = compileRedactPatterns(config.redactPatterns);
 
 if (process.argv.includes("--verify-config")) {
   console.log("Config OK");
@@ -25,178 +51,353 @@ if (process.argv.includes("--verify-config")) {
   process.exit(0);
 }
 
-let sockRef = null;
+let activeTransport = null;
+// False when embedded (a transport was passed to startGateway): the caller owns signals and exit.
+let ownsProcess = true;
 let isShuttingDown = false;
-let reconnectTimer = null;
 let sequence = 0;
-let codexSessionId = null;
+// Legacy single-session files, migrated into the primary user's sessions file on first start.
 const sessionIdFile = path.join(config.runtimeDir, "codex-session-id.txt");
 const workdirFile = path.join(config.runtimeDir, "codex-workdir.txt");
+const defaultSessionName = "default";
 const favoritesFile = path.join(config.runtimeDir, "codex-workdir-favorites.json");
-let activeWorkdir = config.codexWorkdir;
+const mediaDir = path.join(config.runtimeDir, "media");
+const historyFile = path.join(config.runtimeDir, "job-history.jsonl");
+const queueFile = path.join(config.runtimeDir, "job-queue.json");
+const schedulesFile = path.join(config.runtimeDir, "schedules.json");
+const checkpointsFile = path.join(config.runtimeDir, "checkpoints.json");
+const checkpointsDir = path.join(config.runtimeDir, "checkpoints");
+const worktreesDir = path.join(config.runtimeDir, "worktrees");
 let workdirFavorites = {};
 const lockFile = path.join(
   os.tmpdir(),
   `codex-via-whatsapp-${config.allowedNumber}.lock`
 );
 let lockHandle = null;
-let connectionEpoch = 0;
-let connectInProgress = false;
 
 const queue = [];
 let queueRunning = false;
 let activeJob = null;
-const sentMessageIds = new Map();
-const sentMessageTtlMs = 30 * 60 * 1000;
+let queuePersistChain = Promise.resolve();
+let queuePersistFrozen = false;
+let queuePaused = false;
+// Set while /undo rewrites a workdir; no job starts until it is done.
+let undoInProgress = false;
+const restoredJobNotices = new Map();
+let schedules = [];
+let scheduleTimer = null;
+let httpApiServer = null;
+let checkpoints = [];
+// Real paths of ALLOWED_WORKDIR_ROOTS and of the worktrees folder, resolved at boot.
+let workdirRoots = [];
+let realWorktreesDir = null;
+const scheduleNotices = [];
+const scheduleTickMs = 30_000;
+// A run this late counts as missed and goes through the catch-up rule.
+const scheduleLateMs = 2 * 60_000;
+let historyCount = 0;
+const roleRank = { "read-only": 0, operator: 1, admin: 2 };
+// Sandbox/approval presets for `codex exec`. "default" adds nothing and leaves
+// CODEX_EXTRA_ARGS_JSON / Codex config in charge.
+const codexModes = {
+  default: { args: [], dangerous: false },
+  "read-only": { args: ["--sandbox", "read-only"], dangerous: false },
+  "workspace-write": { args: ["--sandbox", "workspace-write"], dangerous: false },
+  "full-auto": { args: ["--full-auto"], dangerous: true },
+  "danger-full-access": { args: ["--dangerously-bypass-approvals-and-sandbox"], dangerous: true },
+};
+const modeConfirmTtlMs = 2 * 60 * 1000;
+const reasoningEfforts = ["minimal", "low", "medium", "high"];
+// Room for the "(1/3)" label on split messages and the "#id part 1/3:" header of /more.
+const partLabelChars = 10;
+const answerPartHeaderChars = 40;
+
+function sessionsFileForUser(number) {
+  // The primary number keeps the original file name so existing state carries over.
+  return number === config.allowedNumber
+    ? path.join(config.runtimeDir, "codex-sessions.json")
+    : path.join(config.runtimeDir, `codex-sessions-${number}.json`);
+}
+
+function createUserState({ number, jid, role }) {
+  return {
+    number,
+    jid,
+    role,
+    sessionsFile: sessionsFileForUser(number),
+    sessions: {},
+    currentSessionName: defaultSessionName,
+    codexSessionId: null,
+    activeWorkdir: config.codexWorkdir,
+    mode: "default",
+    pendingMode: null,
+    lastAnswer: null,
+    lastChanges: null,
+  };
+}
+
+const users = new Map(config.users.map((user) => [user.number, createUserState(user)]));
 
 function shortId(id) {
   return id.slice(-6);
 }
 
-function scheduleReconnect(reason) {
-  if (isShuttingDown) return;
-  if (reconnectTimer) return;
+function timestamp() {
+  return new Date().toISOString();
+}
+
+function normalizeText(text) {
+  if (!text) return "";
+  return String(text).replace(/\r\n/g, "\n").trim();
+}
 
-  reconnectTimer = setTimeout(() => {
-    reconnectTimer = null;
-    logger.info({ reason }, "running scheduled reconnect");
-    void connect();
-  }, config.reconnectDelayMs);
+function imageExtensionForMimetype(mimetype) {
+  const normalized = String(mimetype || "").split(";")[0].trim().toLowerCase();
+  switch (normalized) {
+    case "image/png":
+      return ".png";
+    case "image/webp":
+      return ".webp";
+    case "image/gif":
+      return ".gif";
+    default:
+      return ".jpg";
+  }
 }
 
-function rememberSentMessageId(messageId) {
-  if (!messageId) return;
-  sentMessageIds.set(messageId, Date.now());
+// Returns the text with the group trigger removed, or null if the message is not addressed to the gateway.
+function extractGroupTriggeredText(message, rawText) {
+  const prefix = config.groupTriggerPrefix;
+  if (prefix && rawText.toLowerCase().startsWith(prefix.toLowerCase())) {
+    return normalizeText(rawText.slice(prefix.length));
+  }
+  if (!message.mentionsGateway) {
+    return null;
+  }
+  return normalizeText(message.textWithoutMention);
 }
 
-function wasSentByGateway(messageId) {
-  if (!messageId) return false;
+function getPrimaryUser() {
+  return users.get(config.allowedNumber);
+}
 
-  const now = Date.now();
-  for (const [id, ts] of sentMessageIds) {
-    if (now - ts > sentMessageTtlMs) {
-      sentMessageIds.delete(id);
+function findUserByJids(jids) {
+  for (const user of users.values()) {
+    if (jids.includes(user.jid)) {
+      return user;
     }
   }
+  return null;
+}
 
-  if (sentMessageIds.has(messageId)) {
-    sentMessageIds.delete(messageId);
-    return true;
+function maskNumber(number) {
+  return number.length > 4 ? `***${number.slice(-4)}` : number;
+}
+
+function hasRole(user, requiredRole) {
+  return roleRank[user.role] >= roleRank[requiredRole];
+}
+
+async function ensureDirs() {
+  await fs.mkdir(config.runtimeDir, { recursive: true });
+  await fs.mkdir(mediaDir, { recursive: true });
+}
+
+async function clearStaleMedia(keepPaths = new Set()) {
+  try {
+    const entries = (await fs.readdir(mediaDir))
+      .filter((entry) => !keepPaths.has(path.join(mediaDir, entry)));
+    for (const entry of entries) {
+      await fs.rm(path.join(mediaDir, entry), { force: true, recursive: true });
+    }
+    if (entries.length > 0) {
+      logger.info({ count: entries.length }, "removed stale media files");
+    }
+  } catch {
+    // media dir missing or unreadable
   }
-  return false;
 }
 
-function timestamp() {
-  return new Date().toISOString();
+async function downloadAttachment(attachment, maxBytes, label) {
+  if (Number(attachment.size || 0) > maxBytes) {
+    throw new Error(`${label} too large (${attachment.size} bytes, max ${maxBytes}).`);
+  }
+
+  const buffer = await attachment.download();
+  if (buffer.length > maxBytes) {
+    throw new Error(`${label} too large (${buffer.length} bytes, max ${maxBytes}).`);
+  }
+  return buffer;
 }
 
-function normalizeText(text) {
-  if (!text) return "";
-  return String(text).replace(/\r\n/g, "\n").trim();
+async function downloadImageAttachment(message) {
+  const buffer = await downloadAttachment(message.image, config.maxImageBytes, "Image");
+
+  const fileName = `${Date.now()}-${String(message.id || "image").replace(/[^A-Za-z0-9_-]/g, "")}`;
+  const filePath = path.join(mediaDir, `${fileName}${imageExtensionForMimetype(message.image.mimetype)}`);
+  await fs.writeFile(filePath, buffer);
+  return filePath;
 }
 
-function splitChunks(text, maxSize) {
-  if (!text) return [];
-  if (text.length <= maxSize) return [text];
+function sanitizeFileName(rawName) {
+  const base = (String(rawName || "").split(/[\\/]/).pop() || "").trim();
+  let name = base
+    .replace(/[\u0000-\u001f<>:"|?*]/g, "")
+    .replace(/\s+/g, "_")
+    .replace(/^\.+/, "")
+    .replace(/[. ]+$/, "");
 
-  const chunks = [];
-  const lines = text.split("\n");
-  let current = "";
+  if (/^(con|prn|aux|nul|com[1-9]|lpt[1-9])(\.|$)/i.test(name)) {
+    name = `_${name}`;
+  }
+  if (!name) {
+    name = "file";
+  }
+  if (name.length > 120) {
+    const ext = path.extname(name).slice(0, 16);
+    name = `${name.slice(0, 120 - ext.length)}${ext}`;
+  }
+  return name;
+}
 
-  const flush = () => {
-    if (current) {
-      chunks.push(current);
-      current = "";
-    }
-  };
+function getInboxDir(user) {
+  return path.resolve(user.activeWorkdir, config.inboxDir);
+}
 
-  for (const line of lines) {
-    if (line.length > maxSize) {
-      flush();
-      for (let i = 0; i < line.length; i += maxSize) {
-        chunks.push(line.slice(i, i + maxSize));
-      }
-      continue;
-    }
+// INBOX_DIR is relative, but the folder (or one above it) may be a link leading
+// out of the workdir; refuse to write or delete there.
+async function getCheckedInboxDir(user) {
+  const inboxDir = getInboxDir(user);
+  await fs.mkdir(inboxDir, { recursive: true });
+  const realWorkdir = await fs.realpath(user.activeWorkdir);
+  const realInbox = await fs.realpath(inboxDir);
+  if (!isPathInside(realWorkdir, realInbox)) {
+    throw new Error(`Inbox ${inboxDir} resolves to ${realInbox}, outside the workdir.`);
+  }
+  return inboxDir;
+}
 
-    if (!current) {
-      current = line;
-      continue;
-    }
+async function pathExists(filePath) {
+  try {
+    await fs.lstat(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
 
-    if (current.length + line.length + 1 > maxSize) {
-      flush();
-      current = line;
-      continue;
-    }
+async function saveDocumentToInbox(user, document) {
+  const buffer = await downloadAttachment(document, config.maxDocumentBytes, "File");
+
+  const inboxDir = await getCheckedInboxDir(user);
 
-    current += `\n${line}`;
+  const fileName = sanitizeFileName(document.fileName);
+  const ext = path.extname(fileName);
+  const stem = fileName.slice(0, fileName.length - ext.length);
+  let target = path.join(inboxDir, fileName);
+  for (let i = 1; await pathExists(target); i += 1) {
+    target = path.join(inboxDir, `${stem}-${i}${ext}`);
   }
 
-  flush();
-  return chunks;
+  await fs.writeFile(target, buffer, { flag: "wx" });
+  return { filePath: target, size: buffer.length };
 }
 
-function extractTextFromMessage(msg) {
-  const normalized = normalizeMessageContent(msg?.message);
-  if (!normalized) {
-    return "";
+async function buildDirectoryZip(dirPath, { redact = false } = {}) {
+  const files = await walkFiles(dirPath, { skipDirs: [".git", "node_modules"] });
+  const entries = [];
+  let total = 0;
+  let redactedCount = 0;
+  for (const filePath of files) {
+    const stats = await fs.stat(filePath);
+    total += stats.size;
+    if (total > config.maxSendBytes) {
+      throw new Error(`Folder is larger than ${formatBytes(config.maxSendBytes)} (MAX_SEND_BYTES).`);
+    }
+    let data = await fs.readFile(filePath);
+    if (redact) {
+      const redacted = await redactFileData(data);
+      data = redacted.data;
+      redactedCount += redacted.count;
+    }
+    entries.push({
+      name: path.relative(dirPath, filePath).split(path.sep).join("/"),
+      data,
+      mtime: stats.mtime,
+    });
   }
+  if (entries.length === 0) {
+    throw new Error("Folder has no files to send.");
+  }
+  return { data: createZip(entries), count: redactedCount };
+}
 
-  const contentType = getContentType(normalized);
-  if (!contentType) {
-    return "";
+// Any file without NUL bytes counts as text here; names like .env or config.yaml have no text mimetype.
+async function redactFileData(data) {
+  if (data.subarray(0, 8000).includes(0)) {
+    return { data, count: 0 };
   }
+  const redacted = await redactOutbound(data.toString("utf8"));
+  return redacted.count > 0 ? { data: Buffer.from(redacted.text, "utf8"), count: redacted.count } : { data, count: 0 };
+}
 
-  switch (contentType) {
-    case "conversation":
-      return normalized.conversation || "";
-    case "extendedTextMessage":
-      return normalized.extendedTextMessage?.text || "";
-    case "imageMessage":
-      return normalized.imageMessage?.caption || "";
-    case "videoMessage":
-      return normalized.videoMessage?.caption || "";
-    case "buttonsResponseMessage":
-      return normalized.buttonsResponseMessage?.selectedDisplayText
-        || normalized.buttonsResponseMessage?.selectedButtonId
-        || "";
-    case "listResponseMessage":
-      return normalized.listResponseMessage?.title
-        || normalized.listResponseMessage?.singleSelectReply?.selectedRowId
-        || "";
-    case "templateButtonReplyMessage":
-      return normalized.templateButtonReplyMessage?.selectedDisplayText
-        || normalized.templateButtonReplyMessage?.selectedId
-        || "";
-    default:
-      return "";
+async function sendWorkdirFile(transport, user, remoteJid, targetPath) {
+  const root = await fs.realpath(user.activeWorkdir);
+  const relative = path.relative(root, targetPath).split(path.sep).join("/") || ".";
+  const stats = await fs.stat(targetPath);
+  // Only admins get workdir files unchanged.
+  const raw = hasRole(user, "admin");
+
+  if (stats.isDirectory()) {
+    const { data, count } = await buildDirectoryZip(targetPath, { redact: !raw });
+    if (data.length > config.maxSendBytes) {
+      throw new Error(`${relative}: zip is larger than ${formatBytes(config.maxSendBytes)} (MAX_SEND_BYTES).`);
+    }
+    const baseName = path.basename(targetPath) || "workdir";
+    const caption = [`${relative}/ (zip)`, count > 0 ? formatRedactionNote(count) : ""].filter(Boolean).join(" ");
+    await sendDocument(transport, remoteJid, { data, fileName: `${baseName}.zip`, caption }, { raw });
+    return;
+  }
+
+  if (stats.size > config.maxSendBytes) {
+    throw new Error(`${relative}: ${formatBytes(stats.size)} exceeds ${formatBytes(config.maxSendBytes)} (MAX_SEND_BYTES).`);
   }
+  const data = await fs.readFile(targetPath);
+  await sendDocument(transport, remoteJid, { data, fileName: path.basename(targetPath), caption: relative }, { raw });
 }
 
-function isDirectChatJid(jid) {
-  if (!jid) return false;
-  return jid.endsWith("@s.whatsapp.net") || jid.endsWith("@lid");
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
 }
 
-function extractIncomingJidInfo(key) {
-  const primary = key?.remoteJid || "";
-  const alt = key?.remoteJidAlt || "";
-  const all = [primary, alt].filter(Boolean);
+async function listInboxFiles(user) {
+  const inboxDir = getInboxDir(user);
+  let entries = [];
+  try {
+    entries = await fs.readdir(inboxDir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
 
-  return {
-    primary,
-    alt,
-    all,
-    replyJid: primary || alt || "",
-    hasDirectChatJid: all.some((jid) => isDirectChatJid(jid)),
-    matchesAllowedNumber: all.includes(config.allowedJid),
-  };
+  const files = [];
+  for (const entry of entries) {
+    if (!entry.isFile()) continue;
+    const stats = await fs.stat(path.join(inboxDir, entry.name));
+    files.push({ name: entry.name, size: stats.size, mtimeMs: stats.mtimeMs });
+  }
+  return files.sort((a, b) => b.mtimeMs - a.mtimeMs);
 }
 
-async function ensureDirs() {
-  await fs.mkdir(config.authDir, { recursive: true });
-  await fs.mkdir(config.runtimeDir, { recursive: true });
+async function purgeInbox(user) {
+  const files = await listInboxFiles(user);
+  if (files.length === 0) return 0;
+  const inboxDir = await getCheckedInboxDir(user);
+  for (const file of files) {
+    await fs.rm(path.join(inboxDir, file.name), { force: true });
+  }
+  return files.length;
 }
 
 async function acquireProcessLock() {
@@ -241,30 +442,284 @@ async function releaseProcessLock() {
   }
 }
 
-async function loadStoredSessionId() {
-  try {
-    const value = (await fs.readFile(sessionIdFile, "utf8")).trim();
-    if (value) {
-      codexSessionId = value;
-      logger.info({ codexSessionId }, "loaded stored codex session id");
+function workdirKey(dirPath) {
+  const resolved = path.resolve(dirPath);
+  return process.platform === "win32" ? resolved.toLowerCase() : resolved;
+}
+
+function createSessionRecord(workdir) {
+  const now = Date.now();
+  return {
+    threadId: null,
+    workdir: workdir && workdir !== config.codexWorkdir ? workdir : null,
+    // Last Codex thread id per workdir, so /cd and /fav can switch back without losing context.
+    workdirThreads: {},
+    model: null,
+    effort: null,
+    // Set while the session works in its own git worktree (/branch new).
+    worktree: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+function getCurrentSession(user) {
+  if (!hasSession(user.sessions, user.currentSessionName)) {
+    user.sessions[user.currentSessionName] = createSessionRecord(null);
+  }
+  return user.sessions[user.currentSessionName];
+}
+
+async function saveSessions(user) {
+  const payload = { current: user.currentSessionName, mode: user.mode, sessions: user.sessions };
+  await fs.writeFile(user.sessionsFile, `${JSON.stringify(payload, null, 2)}\n`, "utf8");
+}
+
+async function applyCurrentSession(user) {
+  const session = getCurrentSession(user);
+  user.codexSessionId = session.threadId || null;
+  user.activeWorkdir = config.codexWorkdir;
+  if (session.workdir) {
+    try {
+      await validateDirectory(session.workdir);
+      await assertAllowedWorkdir(user, session.workdir);
+      user.activeWorkdir = session.workdir;
+    } catch (error) {
+      logger.warn(
+        { user: maskNumber(user.number), session: user.currentSessionName, workdir: session.workdir, reason: error.message },
+        "session workdir unusable, using default"
+      );
     }
-  } catch {
-    // no stored session yet
   }
 }
 
-async function storeSessionId(sessionId) {
-  codexSessionId = sessionId;
-  await fs.writeFile(sessionIdFile, `${sessionId}\n`, "utf8");
+async function migrateLegacySession(user) {
+  const record = createSessionRecord(null);
+  // Only the primary number owned state before multi-user support.
+  if (user.number === config.allowedNumber) {
+    try {
+      record.threadId = (await fs.readFile(sessionIdFile, "utf8")).trim() || null;
+    } catch {
+      // no stored session yet
+    }
+    try {
+      record.workdir = normalizeText(await fs.readFile(workdirFile, "utf8")) || null;
+    } catch {
+      // no stored workdir
+    }
+  }
+
+  if (record.threadId) {
+    record.workdirThreads[workdirKey(record.workdir || config.codexWorkdir)] = record.threadId;
+  }
+
+  user.sessions = { [defaultSessionName]: record };
+  user.currentSessionName = defaultSessionName;
+  await saveSessions(user);
+
+  if (user.number !== config.allowedNumber) {
+    return;
+  }
+  for (const legacyFile of [sessionIdFile, workdirFile]) {
+    try {
+      await fs.unlink(legacyFile);
+    } catch {
+      // ignore if file does not exist
+    }
+  }
+  if (record.threadId || record.workdir) {
+    logger.info({ threadId: record.threadId, workdir: record.workdir }, "migrated legacy session state");
+  }
 }
 
-async function clearSessionId() {
-  codexSessionId = null;
+async function loadSessions(user) {
+  let parsed = null;
   try {
-    await fs.unlink(sessionIdFile);
-  } catch {
-    // ignore if file does not exist
+    parsed = JSON.parse(await fs.readFile(user.sessionsFile, "utf8"));
+  } catch (error) {
+    if (error?.code !== "ENOENT") {
+      logger.warn({ err: error, user: maskNumber(user.number) }, "could not read sessions file, starting fresh");
+    }
+  }
+
+  if (!parsed || typeof parsed.sessions !== "object" || Array.isArray(parsed.sessions)) {
+    await migrateLegacySession(user);
+  } else {
+    user.sessions = {};
+    for (const [name, record] of Object.entries(parsed.sessions)) {
+      const normalized = normalizeSessionName(name);
+      if (!isValidSessionName(normalized) || !record || typeof record !== "object") {
+        continue;
+      }
+      user.sessions[normalized] = {
+        ...createSessionRecord(null),
+        ...record,
+        threadId: typeof record.threadId === "string" && record.threadId ? record.threadId : null,
+        workdir: typeof record.workdir === "string" && record.workdir ? record.workdir : null,
+        workdirThreads: record.workdirThreads && typeof record.workdirThreads === "object"
+          ? record.workdirThreads
+          : {},
+        model: isValidModelName(record.model) ? record.model : null,
+        effort: reasoningEfforts.includes(record.effort) ? record.effort : null,
+        worktree: record.worktree && typeof record.worktree.path === "string" && typeof record.worktree.branch === "string"
+          ? record.worktree
+          : null,
+      };
+    }
+    user.currentSessionName = hasSession(user.sessions, parsed.current) ? parsed.current : defaultSessionName;
+    user.mode = codexModes[parsed.mode] ? parsed.mode : "default";
+  }
+
+  await applyCurrentSession(user);
+  logger.info(
+    {
+      user: maskNumber(user.number),
+      session: user.currentSessionName,
+      codexSessionId: user.codexSessionId,
+      count: Object.keys(user.sessions).length,
+    },
+    "loaded codex sessions"
+  );
+}
+
+async function storeSessionId(user, sessionId) {
+  user.codexSessionId = sessionId;
+  const session = getCurrentSession(user);
+  session.threadId = sessionId;
+  session.workdirThreads[workdirKey(user.activeWorkdir)] = sessionId;
+  session.updatedAt = Date.now();
+  await saveSessions(user);
+}
+
+async function clearSessionId(user) {
+  user.codexSessionId = null;
+  const session = getCurrentSession(user);
+  session.threadId = null;
+  delete session.workdirThreads[workdirKey(user.activeWorkdir)];
+  session.updatedAt = Date.now();
+  await saveSessions(user);
+}
+
+async function restoreWorkdirSessionId(user) {
+  const session = getCurrentSession(user);
+  const restored = session.workdirThreads[workdirKey(user.activeWorkdir)] || null;
+  user.codexSessionId = restored;
+  session.threadId = restored;
+  session.updatedAt = Date.now();
+  await saveSessions(user);
+  return restored;
+}
+
+function normalizeModeName(name) {
+  return String(name || "").trim().toLowerCase();
+}
+
+function assertValidMode(mode) {
+  if (!codexModes[mode]) {
+    throw new Error(`Unknown mode "${mode}". Use one of: ${Object.keys(codexModes).join(", ")}`);
+  }
+}
+
+async function setUserMode(user, mode) {
+  user.mode = mode;
+  user.pendingMode = null;
+  await saveSessions(user);
+}
+
+// Applies a mode right away, or parks dangerous modes until the user replies /confirm.
+async function requestModeChange(user, mode) {
+  if (mode === user.mode) {
+    return { applied: true, unchanged: true };
+  }
+  if (codexModes[mode].dangerous) {
+    user.pendingMode = { mode, expiresAt: Date.now() + modeConfirmTtlMs };
+    return { applied: false };
+  }
+  await setUserMode(user, mode);
+  return { applied: true };
+}
+
+function formatModeConfirmPrompt(mode) {
+  return [
+    `Mode "${mode}" lets Codex ${mode === "full-auto" ? "edit files and run commands without asking" : "run anything without sandbox or approvals"}.`,
+    `Reply /confirm within ${Math.round(modeConfirmTtlMs / 1000)}s to enable it.`,
+  ].join("\n");
+}
+
+function isValidModelName(value) {
+  return typeof value === "string" && /^[A-Za-z0-9][A-Za-z0-9._:/-]{0,63}$/.test(value);
+}
+
+function parseModelArg(value) {
+  const model = String(value || "").trim();
+  if (!isValidModelName(model)) {
+    throw new Error(`Invalid model name "${model}".`);
+  }
+  return model;
+}
+
+function parseEffortArg(value) {
+  const effort = String(value || "").trim().toLowerCase();
+  if (!reasoningEfforts.includes(effort)) {
+    throw new Error(`Effort must be one of: ${reasoningEfforts.join(", ")}`);
+  }
+  return effort;
+}
+
+// One-off overrides at the start of a prompt, e.g. "[model=gpt-5 effort=high] refactor ...".
+function parseInlineOverrides(text) {
+  const match = text.match(/^\[([^\]]*)\]\s*/);
+  if (!match || !/^\s*(model|effort)=/i.test(match[1])) {
+    return { prompt: text, overrides: {} };
+  }
+
+  const overrides = {};
+  for (const token of match[1].trim().split(/\s+/)) {
+    const [key, value] = token.split("=");
+    const normalizedKey = String(key || "").toLowerCase();
+    if (normalizedKey === "model") {
+      overrides.model = parseModelArg(value);
+    } else if (normalizedKey === "effort") {
+      overrides.effort = parseEffortArg(value);
+    } else {
+      throw new Error(`Unknown override "${token}". Use [model=<name> effort=<level>].`);
+    }
+  }
+  return { prompt: text.slice(match[0].length), overrides };
+}
+
+function buildModelArgs(model, effort) {
+  const args = [];
+  if (model) {
+    args.push("-m", model);
+  }
+  if (effort) {
+    args.push("-c", `model_reasoning_effort="${effort}"`);
   }
+  return args;
+}
+
+function formatModelSettings(session) {
+  return `model: ${session.model || "(default)"}, effort: ${session.effort || "(default)"}`;
+}
+
+async function switchSession(user, name) {
+  user.currentSessionName = name;
+  getCurrentSession(user);
+  await applyCurrentSession(user);
+  await saveSessions(user);
+}
+
+function formatSessionList(user) {
+  const names = Object.keys(user.sessions).sort();
+  const lines = ["Sessions:"];
+  for (const name of names) {
+    const session = user.sessions[name];
+    const marker = name === user.currentSessionName ? "*" : "-";
+    const thread = session.threadId ? session.threadId.slice(0, 8) : "(new)";
+    lines.push(`${marker} ${name}: ${thread} @ ${session.workdir || config.codexWorkdir}`);
+  }
+  return lines.join("\n");
 }
 
 function unquoteWrapped(input) {
@@ -292,7 +747,62 @@ async function validateDirectory(dirPath) {
   }
 }
 
-async function resolveRequestedWorkdir(input) {
+async function loadWorkdirRoots() {
+  if (config.allowedWorkdirRoots.length === 0) return;
+  const roots = [];
+  for (const root of config.allowedWorkdirRoots) {
+    try {
+      roots.push(await fs.realpath(root));
+    } catch {
+      throw new Error(`ALLOWED_WORKDIR_ROOTS entry does not exist: ${root}`);
+    }
+  }
+  // Session worktrees are created by the gateway from an allowed checkout; see getOwnWorktreeRoots.
+  await fs.mkdir(worktreesDir, { recursive: true });
+  realWorktreesDir = await fs.realpath(worktreesDir);
+  workdirRoots = roots;
+
+  const realDefault = await fs.realpath(config.codexWorkdir);
+  if (!workdirRoots.some((root) => isPathInside(root, realDefault))) {
+    throw new Error(`CODEX_WORKDIR ${config.codexWorkdir} is outside ALLOWED_WORKDIR_ROOTS`);
+  }
+  logger.info({ roots: workdirRoots }, "workdirs restricted to allowed roots");
+}
+
+// Worktrees of the user's own sessions, not those of other users. Only folders
+// under the worktrees folder count, whatever a sessions file says.
+async function getOwnWorktreeRoots(user) {
+  const roots = [];
+  for (const session of Object.values(user.sessions)) {
+    if (!session.worktree) continue;
+    try {
+      const real = await fs.realpath(session.worktree.path);
+      if (real !== realWorktreesDir && isPathInside(realWorktreesDir, real)) {
+        roots.push(real);
+      }
+    } catch {
+      // A missing worktree folder is reported by /branch.
+    }
+  }
+  return roots;
+}
+
+// Checks the real path (symlinks and junctions resolved) against the allowed
+// roots and the user's session worktrees and returns it; without
+// ALLOWED_WORKDIR_ROOTS the path is returned as is.
+async function assertAllowedWorkdir(user, dirPath) {
+  if (workdirRoots.length === 0) return dirPath;
+  const real = await fs.realpath(dirPath);
+  const roots = [...workdirRoots, ...await getOwnWorktreeRoots(user)];
+  if (!roots.some((root) => isPathInside(root, real))) {
+    throw new Error(
+      `${dirPath}${real !== dirPath ? ` (resolves to ${real})` : ""} is outside the allowed workdir roots: ${config.allowedWorkdirRoots.join(", ")}`
+    );
+  }
+  return real;
+}
+
+async function resolveRequestedWorkdir(user, input) {
   const raw = unquoteWrapped(input);
   if (!raw) {
     throw new Error("Missing path. Usage: /cd <path>");
@@ -301,36 +811,22 @@ async function resolveRequestedWorkdir(input) {
   const expanded = expandPathVariables(raw);
   const resolved = path.isAbsolute(expanded)
     ? path.resolve(expanded)
-    : path.resolve(activeWorkdir, expanded);
+    : path.resolve(user.activeWorkdir, expanded);
 
   await validateDirectory(resolved);
-  return resolved;
-}
-
-async function loadStoredWorkdir() {
-  try {
-    const stored = normalizeText(await fs.readFile(workdirFile, "utf8"));
-    if (!stored) return;
-    await validateDirectory(stored);
-    activeWorkdir = stored;
-    logger.info({ activeWorkdir }, "loaded stored codex workdir");
-  } catch {
-    // no stored workdir or invalid path -> keep default
-  }
+  return assertAllowedWorkdir(user, resolved);
 }
 
-async function storeWorkdir(nextWorkdir) {
-  activeWorkdir = nextWorkdir;
-  await fs.writeFile(workdirFile, `${nextWorkdir}\n`, "utf8");
+async function storeWorkdir(user, nextWorkdir) {
+  user.activeWorkdir = nextWorkdir;
+  const session = getCurrentSession(user);
+  session.workdir = nextWorkdir === config.codexWorkdir ? null : nextWorkdir;
+  session.updatedAt = Date.now();
+  await saveSessions(user);
 }
 
-async function resetWorkdirToDefault() {
-  activeWorkdir = config.codexWorkdir;
-  try {
-    await fs.unlink(workdirFile);
-  } catch {
-    // ignore if file does not exist
-  }
+async function resetWorkdirToDefault(user) {
+  await storeWorkdir(user, config.codexWorkdir);
 }
 
 function normalizeFavoriteName(name) {
@@ -352,15 +848,18 @@ async function loadStoredFavorites() {
     }
 
     const next = {};
-    for (const [name, dirPath] of Object.entries(parsed)) {
+    for (const [name, value] of Object.entries(parsed)) {
       const normalized = normalizeFavoriteName(name);
+      // Plain string = path only; object = path plus pinned mode.
+      const dirPath = typeof value === "string" ? value : value?.path;
       if (!normalized || typeof dirPath !== "string" || !dirPath.trim()) {
         continue;
       }
       if (!/^[a-z0-9][a-z0-9._-]{0,31}$/.test(normalized)) {
         continue;
       }
-      next[normalized] = dirPath;
+      const mode = codexModes[value?.mode] ? value.mode : null;
+      next[normalized] = { path: dirPath, mode };
     }
     workdirFavorites = next;
     logger.info({ count: Object.keys(workdirFavorites).length }, "loaded workdir favorites");
@@ -370,7 +869,11 @@ async function loadStoredFavorites() {
 }
 
 async function saveFavorites() {
-  await fs.writeFile(favoritesFile, `${JSON.stringify(workdirFavorites, null, 2)}\n`, "utf8");
+  const payload = {};
+  for (const [name, favorite] of Object.entries(workdirFavorites)) {
+    payload[name] = favorite.mode ? { path: favorite.path, mode: favorite.mode } : favorite.path;
+  }
+  await fs.writeFile(favoritesFile, `${JSON.stringify(payload, null, 2)}\n`, "utf8");
 }
 
 function formatFavoritesList() {
@@ -380,791 +883,2835 @@ function formatFavoritesList() {
   }
   const lines = ["Favorites:"];
   for (const name of names) {
-    lines.push(`- ${name}: ${workdirFavorites[name]}`);
+    const favorite = workdirFavorites[name];
+    lines.push(`- ${name}: ${favorite.path}${favorite.mode ? ` [mode: ${favorite.mode}]` : ""}`);
   }
   return lines.join("\n");
 }
 
-async function applyWorkdirChange(sock, remoteJid, nextWorkdir, header) {
-  if (nextWorkdir === activeWorkdir) {
-    await sendText(sock, remoteJid, `Workdir unchanged:\n${activeWorkdir}`);
+async function applyWorkdirChange(transport, user, remoteJid, nextWorkdir, header) {
+  if (nextWorkdir === user.activeWorkdir) {
+    await sendText(transport, remoteJid, `Workdir unchanged:\n${user.activeWorkdir}`);
     return;
   }
 
-  const previous = activeWorkdir;
-  await storeWorkdir(nextWorkdir);
-  await clearSessionId();
+  const previous = user.activeWorkdir;
+  await storeWorkdir(user, nextWorkdir);
+  const restored = await restoreWorkdirSessionId(user);
   await sendText(
-    sock,
+    transport,
     remoteJid,
     [
       header,
       `from: ${previous}`,
-      `to: ${activeWorkdir}`,
-      "Session context reset.",
+      `to: ${user.activeWorkdir}`,
+      restored
+        ? `Restored session context for this folder: ${restored}`
+        : "No previous session context for this folder, starting fresh.",
     ].join("\n")
   );
 }
 
-async function sendText(sock, jid, text) {
-  const normalized = normalizeText(text);
-  if (!normalized) return;
-  const chunks = splitChunks(normalized, config.chunkSize);
-  for (const chunk of chunks) {
-    const sent = await sock.sendMessage(jid, { text: chunk });
-    rememberSentMessageId(sent?.key?.id);
+// `markdown: true` marks Codex output, which the transport may reformat (see formatMarkdown).
+// .env values of every workdir in use count as secrets, plus the built-in and REDACT_PATTERNS_JSON patterns.
+async function redactOutbound(text) {
+  if (!config.redactSecrets) {
+    return { text, count: 0 };
   }
+  const secrets = await collectEnvSecrets([
+    config.codexWorkdir,
+    activeJob?.workdir,
+    ...[...users.values()].map((user) => user.activeWorkdir),
+  ]);
+  return redactSecrets(text, { secrets, patterns: redactPatterns });
 }
 
-function trimOutput(text) {
-  if (!text) return "";
-  if (text.length <= config.maxResponseChars) return text;
-  const suffix = `\n\n[truncated to ${config.maxResponseChars} chars]`;
-  return `${text.slice(0, config.maxResponseChars)}${suffix}`;
+function formatRedactionNote(count) {
+  return `[${count} secret(s) redacted]`;
 }
 
-function buildStatusMessage() {
-  const uptimeSec = Math.floor(process.uptime());
-  const running = activeJob ? `yes (#${shortId(activeJob.id)})` : "no";
-  const sessionDisplay = codexSessionId || "(none)";
-  return [
-    "Gateway status:",
-    `- time: ${timestamp()}`,
-    `- uptime_s: ${uptimeSec}`,
-    `- queue_len: ${queue.length}`,
-    `- running: ${running}`,
-    `- session_id: ${sessionDisplay}`,
-    `- workdir: ${activeWorkdir}`,
-  ].join("\n");
+async function sendText(transport, jid, text, options = {}) {
+  const { markdown = false, ...sendOptions } = options;
+  const redacted = await redactOutbound(normalizeText(text));
+  const normalized = redacted.count > 0 ? `${redacted.text}\n\n${formatRedactionNote(redacted.count)}` : redacted.text;
+  if (!normalized) return;
+  const formatted = markdown && transport.formatMarkdown ? transport.formatMarkdown(normalized) : normalized;
+  const chunks = formatted.length <= config.chunkSize
+    ? [formatted]
+    : numberChunks(splitChunks(formatted, Math.max(1, config.chunkSize - partLabelChars)));
+  for (const chunk of chunks) {
+    await transport.sendText(jid, chunk, sendOptions);
+  }
 }
 
-function createJob(remoteJid, prompt) {
-  sequence += 1;
+// Job messages always pass an explicit `replyTo`, so they never inherit the
+// quote of whichever group message happened to start the queue.
+function jobReplyOptions(job) {
+  return { replyTo: job.replyTo || null };
+}
+
+function withReplyTo(transport, replyTo) {
+  const withDefault = (options = {}) => ("replyTo" in options ? options : { ...options, replyTo });
   return {
-    id: `${Date.now()}-${sequence}`,
-    remoteJid,
-    prompt,
-    enqueuedAt: Date.now(),
+    ...transport,
+    sendText: (jid, text, options) => transport.sendText(jid, text, withDefault(options)),
+    sendDocument: (jid, document, options) => transport.sendDocument(jid, document, withDefault(options)),
   };
 }
 
-function quoteCmdArg(arg) {
-  const value = String(arg ?? "");
-  if (!value) {
-    return "\"\"";
-  }
-  if (!/[ \t"&()^<>|]/.test(value)) {
-    return value;
+// Text contents and captions are redacted like messages; `raw: true` sends
+// the document unchanged (/get for admins).
+async function sendDocument(transport, jid, { data, fileName, mimetype, caption }, options = {}) {
+  const { raw = false, ...sendOptions } = options;
+  const type = mimetype || mimetypeForFileName(fileName);
+  let body = data;
+  let note = caption;
+  if (!raw) {
+    const content = await redactFileData(data);
+    const label = caption ? await redactOutbound(caption) : { text: caption, count: 0 };
+    body = content.data;
+    note = label.text;
+    if (content.count + label.count > 0) {
+      note = [note, formatRedactionNote(content.count + label.count)].filter(Boolean).join(" ");
+    }
   }
-  return `"${value.replace(/"/g, "\"\"")}"`;
+  await transport.sendDocument(jid, {
+    data: body,
+    fileName,
+    mimetype: type,
+    caption: note,
+  }, sendOptions);
 }
 
-function buildCodexSpawnSpec(command, args) {
-  if (process.platform !== "win32") {
-    return { command, args };
+function mimetypeForFileName(fileName) {
+  switch (path.extname(fileName).toLowerCase()) {
+    case ".txt":
+    case ".log":
+      return "text/plain";
+    case ".md":
+      return "text/markdown";
+    case ".csv":
+      return "text/csv";
+    case ".json":
+      return "application/json";
+    case ".html":
+      return "text/html";
+    case ".pdf":
+      return "application/pdf";
+    case ".zip":
+      return "application/zip";
+    case ".png":
+      return "image/png";
+    case ".jpg":
+    case ".jpeg":
+      return "image/jpeg";
+    default:
+      return "application/octet-stream";
   }
-
-  const cmdLine = [quoteCmdArg(command), ...args.map((arg) => quoteCmdArg(arg))].join(" ");
-  return {
-    command: "cmd.exe",
-    args: ["/d", "/s", "/c", cmdLine],
-  };
 }
 
-function extractSessionIdFromLogs(stdout, stderr) {
-  const haystack = `${stdout || ""}\n${stderr || ""}`;
-  const patterns = [
-    /session id:\s*([0-9a-f-]{36})/gi,
-    /"thread_id"\s*:\s*"([0-9a-f-]{36})"/gi,
-  ];
-
-  for (const pattern of patterns) {
-    let match = null;
-    let latest = null;
-    while ((match = pattern.exec(haystack)) !== null) {
-      latest = match[1];
-    }
-    if (latest) {
-      return latest;
-    }
-  }
+function trimOutput(text) {
+  if (!text) return "";
+  if (text.length <= config.maxResponseChars) return text;
+  const suffix = `\n\n[truncated to ${config.maxResponseChars} chars]`;
+  return `${text.slice(0, config.maxResponseChars)}${suffix}`;
+}
 
-  return null;
+function rememberLastAnswer(user, jobId, remainder) {
+  const chunks = splitChunks(normalizeText(remainder), Math.max(1, config.chunkSize - answerPartHeaderChars));
+  user.lastAnswer = chunks.length > 0 ? { jobId, chunks, nextIndex: 0 } : null;
+  return chunks.length;
 }
 
-function buildInteractiveCodexArgs() {
-  if (codexSessionId) {
-    return ["-C", activeWorkdir, "resume", codexSessionId];
+// Redacts the whole answer before it is split, so a secret crossing a split
+// point is still caught; sendText/sendDocument then only see redacted pieces.
+async function sendJobAnswer(transport, user, job, rawHeader, rawOutput) {
+  const answerOptions = { ...jobReplyOptions(job), markdown: true };
+  const redacted = await redactOutbound(rawOutput);
+  const output = redacted.text;
+  const header = redacted.count > 0 ? `${rawHeader}\n${formatRedactionNote(redacted.count)}` : rawHeader;
+  if (output.length <= config.maxResponseChars) {
+    user.lastAnswer = null;
+    await sendText(transport, job.remoteJid, `${header}\n\n${output}`, answerOptions);
+    return;
+  }
+
+  if (config.overflowMode === "truncate") {
+    const { head: shown, rest } = splitHead(output, config.maxResponseChars);
+    const parts = rememberLastAnswer(user, job.id, rest);
+    await sendText(
+      transport,
+      job.remoteJid,
+      `${header}\n\n${shown}\n\n[truncated to ${config.maxResponseChars} chars, /more for the rest (${parts} part(s))]`,
+      answerOptions
+    );
+    return;
   }
-  return ["-C", activeWorkdir, "resume", "--last"];
+
+  // Leave room for the header and footer so the summary stays one WhatsApp message.
+  const { head: summary, rest } = splitHead(output, Math.max(500, config.chunkSize - 400));
+  const parts = rememberLastAnswer(user, job.id, rest);
+  await sendText(
+    transport,
+    job.remoteJid,
+    [
+      header,
+      "",
+      summary,
+      "",
+      `[${output.length} chars total. Full answer attached as answer-${shortId(job.id)}.md; /more shows the next part (${parts} left).]`,
+    ].join("\n"),
+    answerOptions
+  );
+  await sendDocument(transport, job.remoteJid, {
+    data: Buffer.from(output, "utf8"),
+    fileName: `answer-${shortId(job.id)}.md`,
+    mimetype: "text/markdown",
+  }, jobReplyOptions(job));
 }
 
-async function openInteractiveCodexWindow() {
-  if (process.platform !== "win32") {
-    throw new Error("Opening a terminal window is currently implemented for Windows only.");
+async function sendNextAnswerPart(transport, user, remoteJid) {
+  const { lastAnswer } = user;
+  if (!lastAnswer || lastAnswer.nextIndex >= lastAnswer.chunks.length) {
+    await sendText(transport, remoteJid, "No more output.");
+    return;
   }
 
-  const args = buildInteractiveCodexArgs();
+  const index = lastAnswer.nextIndex;
+  lastAnswer.nextIndex += 1;
+  await sendText(
+    transport,
+    remoteJid,
+    `#${shortId(lastAnswer.jobId)} part ${index + 1}/${lastAnswer.chunks.length}:\n\n${lastAnswer.chunks[index]}`,
+    { markdown: true }
+  );
+}
 
-  await new Promise((resolve, reject) => {
-    // Use argv form for `start` to avoid fragile quote parsing in one big command string.
-    const child = spawn(
-      "cmd.exe",
-      ["/d", "/c", "start", "", "cmd.exe", "/k", config.codexCommand, ...args],
-      {
-      windowsHide: false,
-      detached: true,
-      stdio: "ignore",
-      }
-    );
+function getStatusData(user) {
+  const session = getCurrentSession(user);
+  return {
+    time: timestamp(),
+    uptimeSec: Math.floor(process.uptime()),
+    connected: Boolean(activeTransport?.isReady()),
+    queueLength: queue.length,
+    queuePaused,
+    running: activeJob ? { id: activeJob.id, owner: maskNumber(activeJob.userNumber) } : null,
+    user: maskNumber(user.number),
+    role: user.role,
+    session: user.currentSessionName,
+    sessionId: user.codexSessionId || null,
+    workdir: user.activeWorkdir,
+    mode: user.mode,
+    model: session.model || null,
+    effort: session.effort || null,
+    branch: session.worktree?.branch || null,
+  };
+}
 
-    child.once("error", reject);
-    child.once("spawn", resolve);
-    child.unref();
-  });
+function buildStatusMessage(user) {
+  const status = getStatusData(user);
+  const running = status.running ? `yes (#${shortId(status.running.id)}, owner ${status.running.owner})` : "no";
+  return [
+    "Gateway status:",
+    `- time: ${status.time}`,
+    `- uptime_s: ${status.uptimeSec}`,
+    `- queue_len: ${status.queueLength}${status.queuePaused ? " (paused)" : ""}`,
+    `- running: ${running}`,
+    `- user: ${status.user} (${status.role})`,
+    `- session: ${status.session}`,
+    `- session_id: ${status.sessionId || "(none)"}`,
+    `- workdir: ${status.workdir}`,
+    ...(status.branch ? [`- branch: ${status.branch} (isolated worktree)`] : []),
+    `- mode: ${status.mode}`,
+    `- ${formatModelSettings(getCurrentSession(user))}`,
+  ].join("\n");
+}
 
+function createJob(
+  user,
+  remoteJid,
+  prompt,
+  { images = [], replyTo = null, overrides = {}, workdir = null, scheduleId = null } = {}
+) {
+  sequence += 1;
+  const session = getCurrentSession(user);
   return {
-    resumed: Boolean(codexSessionId),
-    sessionId: codexSessionId,
-    workdir: activeWorkdir,
+    id: `${Date.now()}-${sequence}`,
+    userNumber: user.number,
+    remoteJid,
+    prompt,
+    images,
+    replyTo,
+    // Fixed when queued: a later /mode, /model or /effort only applies to jobs queued after it.
+    mode: user.mode,
+    model: overrides.model || session.model || null,
+    effort: overrides.effort || session.effort || null,
+    // Set for scheduled jobs: they run in a fixed workdir with a fresh Codex session.
+    workdir,
+    scheduleId,
+    enqueuedAt: Date.now(),
   };
 }
 
-async function killProcessTree(pid) {
-  if (!pid) return false;
+async function cleanupJobFiles(job) {
+  for (const filePath of job?.images || []) {
+    try {
+      await fs.unlink(filePath);
+    } catch {
+      // ignore cleanup failures
+    }
+  }
+}
 
-  return new Promise((resolve) => {
-    const killer = spawn("taskkill", ["/PID", String(pid), "/T", "/F"], {
-      windowsHide: true,
-      stdio: "ignore",
-    });
+async function clearQueue(userNumber = null) {
+  const dropped = [];
+  for (let i = queue.length - 1; i >= 0; i -= 1) {
+    if (!userNumber || queue[i].userNumber === userNumber) {
+      dropped.push(...queue.splice(i, 1));
+    }
+  }
+  for (const job of dropped) {
+    await cleanupJobFiles(job);
+  }
+  if (dropped.length > 0) {
+    await persistQueue();
+  }
+  return dropped.length;
+}
 
-    killer.on("error", () => resolve(false));
-    killer.on("close", () => resolve(true));
-  });
+function getJobUser(job) {
+  return users.get(job.userNumber);
 }
 
-async function runCodex(job) {
-  const outputFile = path.join(config.runtimeDir, `codex-last-message-${job.id}.txt`);
-  const args = codexSessionId
-    ? [
-      "exec",
-      "-C",
-      activeWorkdir,
-      "--skip-git-repo-check",
-      "-o",
-      outputFile,
-      ...config.codexExtraArgs,
-      "resume",
-      codexSessionId,
-      "-",
-    ]
-    : [
-      "exec",
-      "-C",
-      activeWorkdir,
-      "--skip-git-repo-check",
-      "-o",
-      outputFile,
-      ...config.codexExtraArgs,
-      "-",
-    ];
+// Scheduled jobs carry their workdir; prompts run in the owner's folder at start time.
+function getJobWorkdir(job) {
+  return job.workdir || getJobUser(job).activeWorkdir;
+}
 
-  return new Promise((resolve, reject) => {
-    let stdout = "";
-    let stderr = "";
-    let timedOut = false;
-    const spawnSpec = buildCodexSpawnSpec(config.codexCommand, args);
+function serializeJob(job, state) {
+  return {
+    id: job.id,
+    state,
+    userNumber: job.userNumber,
+    remoteJid: job.remoteJid,
+    prompt: job.prompt,
+    images: job.images || [],
+    mode: job.mode,
+    model: job.model,
+    effort: job.effort,
+    workdir: job.workdir || null,
+    scheduleId: job.scheduleId || null,
+    enqueuedAt: job.enqueuedAt,
+    replyTo: job.replyTo || null,
+  };
+}
 
-    const child = spawn(spawnSpec.command, spawnSpec.args, {
-      cwd: activeWorkdir,
-      windowsHide: true,
-      stdio: ["pipe", "pipe", "pipe"],
+function deserializeJob(stored) {
+  return {
+    id: stored.id,
+    userNumber: stored.userNumber,
+    remoteJid: stored.remoteJid,
+    prompt: stored.prompt,
+    images: Array.isArray(stored.images) ? stored.images : [],
+    mode: codexModes[stored.mode] ? stored.mode : "default",
+    model: isValidModelName(stored.model) ? stored.model : null,
+    effort: reasoningEfforts.includes(stored.effort) ? stored.effort : null,
+    workdir: stored.workdir || null,
+    scheduleId: stored.scheduleId || null,
+    enqueuedAt: stored.enqueuedAt || Date.now(),
+    replyTo: stored.replyTo || null,
+  };
+}
+
+// Writes the in-flight job plus the queue to disk. Calls are chained so
+// snapshots land in order; after shutdown starts the file is left as is.
+function persistQueue() {
+  if (queuePersistFrozen) {
+    return queuePersistChain;
+  }
+  const snapshot = {
+    paused: queuePaused,
+    jobs: [
+      ...(activeJob ? [serializeJob(activeJob, "running")] : []),
+      ...queue.map((job) => serializeJob(job, "queued")),
+    ],
+  };
+  queuePersistChain = queuePersistChain
+    .then(async () => {
+      const tmpFile = `${queueFile}.tmp`;
+      await fs.writeFile(tmpFile, `${JSON.stringify(snapshot, null, 2)}\n`, "utf8");
+      await fs.rename(tmpFile, queueFile);
+    })
+    .catch((error) => {
+      logger.warn({ err: error }, "failed to persist job queue");
     });
+  return queuePersistChain;
+}
 
-    activeJob = {
-      ...job,
-      pid: child.pid,
-      child,
-      startedAt: Date.now(),
-      outputFile,
-      manuallyStopped: false,
-    };
+function enqueueJob(job) {
+  queue.push(job);
+  void persistQueue();
+}
 
-    const timeoutHandle = setTimeout(async () => {
-      timedOut = true;
-      await killProcessTree(child.pid);
-    }, config.codexTimeoutMs);
+async function restorePersistedQueue() {
+  let stored = [];
+  try {
+    const parsed = JSON.parse(await fs.readFile(queueFile, "utf8"));
+    stored = parsed?.jobs;
+    queuePaused = parsed?.paused === true;
+  } catch {
+    return new Set();
+  }
+  if (!Array.isArray(stored)) {
+    return new Set();
+  }
 
-    child.stdout.setEncoding("utf8");
-    child.stderr.setEncoding("utf8");
+  const keepMedia = new Set();
+  for (const entry of stored) {
+    const job = deserializeJob(entry);
+    const user = getJobUser(job);
+    const label = `#${shortId(String(job.id))}`;
+    const preview = String(job.prompt || "").replace(/\s+/g, " ").slice(0, 60);
+    let outcome;
 
-    child.stdout.on("data", (chunk) => {
-      stdout += chunk;
-    });
+    const missingImage = [];
+    for (const filePath of job.images) {
+      try {
+        await fs.access(filePath);
+      } catch {
+        missingImage.push(filePath);
+      }
+    }
 
-    child.stderr.on("data", (chunk) => {
-      stderr += chunk;
-    });
+    if (!user) {
+      logger.warn({ jobId: job.id }, "dropping restored job of a user no longer allowed");
+      await cleanupJobFiles(job);
+      continue;
+    }
 
-    child.on("error", (error) => {
-      clearTimeout(timeoutHandle);
-      reject(error);
-    });
+    if (config.queueRestore === "discard") {
+      outcome = "abandoned (QUEUE_RESTORE=discard)";
+      await cleanupJobFiles(job);
+    } else if (missingImage.length > 0) {
+      outcome = "abandoned (image file missing)";
+      await cleanupJobFiles(job);
+    } else {
+      if (entry.state === "running") {
+        job.restarted = true;
+        const rollback = config.checkpoints ? `, /undo ${shortId(String(job.id))} to roll back both runs` : "";
+        outcome = `restarted from the beginning (the interrupted run may have left partial changes: /diff once it is done${rollback})`;
+      } else {
+        outcome = "re-queued";
+      }
+      queue.push(job);
+      for (const filePath of job.images) {
+        keepMedia.add(filePath);
+      }
+    }
 
-    child.on("close", async (exitCode, signal) => {
-      clearTimeout(timeoutHandle);
-      let finalText = "";
+    const notices = restoredJobNotices.get(job.userNumber) || [];
+    notices.push({ remoteJid: job.remoteJid, line: `- ${label} ${outcome}: ${preview}` });
+    restoredJobNotices.set(job.userNumber, notices);
+  }
+
+  logger.info({ restored: queue.length, total: stored.length }, "restored persisted job queue");
+  await persistQueue();
+  return keepMedia;
+}
+
+async function announceRestoredJobs(transport) {
+  for (const [userNumber, notices] of restoredJobNotices) {
+    restoredJobNotices.delete(userNumber);
+    const byJid = new Map();
+    for (const notice of notices) {
+      byJid.set(notice.remoteJid, [...(byJid.get(notice.remoteJid) || []), notice.line]);
+    }
+    for (const [jid, lines] of byJid) {
       try {
-        finalText = await fs.readFile(outputFile, "utf8");
-      } catch {
-        finalText = "";
+        await sendText(
+          transport,
+          jid,
+          [
+            "Gateway restarted. Jobs from before the restart:",
+            ...lines,
+            queuePaused ? "The queue is paused; /resume starts it." : "Use /queue to review them or /cancel <id> to drop one.",
+          ].join("\n")
+        );
+      } catch (error) {
+        logger.warn({ err: error }, "failed to announce restored jobs");
       }
+    }
+  }
+  void processQueue(transport);
+}
+
+function formatLocalTime(ms) {
+  const date = new Date(ms);
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(
+    date.getMinutes()
+  )}`;
+}
 
-      const detectedSessionId = extractSessionIdFromLogs(stdout, stderr);
+async function loadSchedules() {
+  try {
+    const parsed = JSON.parse(await fs.readFile(schedulesFile, "utf8"));
+    schedules = Array.isArray(parsed?.schedules) ? parsed.schedules : [];
+  } catch {
+    schedules = [];
+  }
+  logger.info({ count: schedules.length }, "loaded schedules");
+}
 
-      resolve({
-        exitCode: exitCode ?? -1,
-        signal: signal || "",
-        stdout,
-        stderr,
-        finalText,
-        detectedSessionId,
-        timedOut,
-      });
-    });
+async function saveSchedules() {
+  await fs.writeFile(schedulesFile, `${JSON.stringify({ schedules }, null, 2)}\n`, "utf8");
+}
 
-    child.stdin.write(job.prompt);
-    child.stdin.end();
+function nextScheduleId() {
+  return String(schedules.reduce((max, schedule) => Math.max(max, Number(schedule.id) || 0), 0) + 1);
+}
+
+function computeNextRun(schedule, afterMs) {
+  return schedule.kind === "cron" ? nextCronRun(parseCron(schedule.expr), afterMs) : null;
+}
+
+function formatScheduleLine(schedule) {
+  const when = schedule.kind === "cron" ? `cron "${schedule.expr}"` : "at";
+  const preview = schedule.prompt.replace(/\s+/g, " ").slice(0, 60);
+  return `${schedule.id}. ${when} in ${schedule.target} - next ${formatLocalTime(schedule.nextRunAt)} - ${preview}`;
+}
+
+// Favorite name or path -> fixed workdir for jobs that don't follow the chat's /cd.
+async function resolveWorkdirTarget(user, input) {
+  if (!input) {
+    return { workdir: user.activeWorkdir, target: user.activeWorkdir };
+  }
+  const name = normalizeFavoriteName(input);
+  const favorite = workdirFavorites[name];
+  const workdir = await resolveRequestedWorkdir(user, favorite ? favorite.path : input);
+  return { workdir, target: favorite ? name : workdir };
+}
+
+// Parses "<cron <5 fields>|at <time>> [in <favorite|path>] | <prompt>".
+async function parseScheduleRequest(user, argText) {
+  const separator = argText.indexOf("|");
+  const spec = (separator === -1 ? argText : argText.slice(0, separator)).trim();
+  const prompt = separator === -1 ? "" : argText.slice(separator + 1).trim();
+  if (!spec || !prompt) {
+    throw new Error(
+      [
+        "Usage: /schedule cron <m h dom mon dow> [in <fav|path>] | <prompt>",
+        "/schedule at <+30m|HH:MM|YYYY-MM-DD HH:MM> [in <fav|path>] | <prompt>",
+      ].join("\n")
+    );
+  }
+
+  const targetMatch = spec.match(/^(.*?)\s+in\s+(.+)$/);
+  const when = (targetMatch ? targetMatch[1] : spec).trim();
+  const targetInput = targetMatch ? targetMatch[2].trim() : "";
+  const kindMatch = when.match(/^(cron|at)\s+(.+)$/i);
+  if (!kindMatch) {
+    throw new Error("Start with 'cron <expression>' or 'at <time>'.");
+  }
+  const kind = kindMatch[1].toLowerCase();
+  const expr = kindMatch[2].trim();
+  const now = Date.now();
+  const nextRunAt = kind === "cron" ? nextCronRun(parseCron(expr), now) : parseAtTime(expr, now);
+  if (nextRunAt <= now) {
+    throw new Error(`Time is in the past: ${formatLocalTime(nextRunAt)}`);
+  }
+
+  const { workdir, target } = await resolveWorkdirTarget(user, targetInput);
+  return { kind, expr, workdir, target, prompt, nextRunAt };
+}
+
+function fireSchedule(schedule, note) {
+  const user = users.get(schedule.userNumber);
+  if (queue.length >= config.maxQueue) {
+    if (schedule.kind === "cron") {
+      return { notice: `Schedule ${schedule.id} skipped: queue full (${config.maxQueue}).`, retry: false };
+    }
+    // A one-shot run stays due and is retried on the next tick; the user hears about it once.
+    const notice = schedule.waitingForQueue
+      ? null
+      : `Schedule ${schedule.id} is waiting: queue full (${config.maxQueue}). It is queued as soon as there is room.`;
+    schedule.waitingForQueue = true;
+    return { notice, retry: true };
+  }
+  const job = createJob(user, schedule.remoteJid, schedule.prompt, {
+    workdir: schedule.workdir,
+    scheduleId: schedule.id,
   });
+  enqueueJob(job);
+  schedule.lastRunAt = Date.now();
+  delete schedule.waitingForQueue;
+  return { notice: note ? `${note} Queued #${shortId(job.id)}.` : null, retry: false };
 }
 
-async function processQueue(sock) {
-  if (queueRunning) return;
-  queueRunning = true;
+// Queues due schedules. Runs that are later than scheduleLateMs (gateway was
+// off or asleep) follow SCHEDULE_CATCHUP: at most one catch-up run per schedule.
+async function runDueSchedules() {
+  const now = Date.now();
+  let changed = false;
 
-  while (queue.length > 0 && !isShuttingDown) {
-    const job = queue.shift();
-    const waitingMs = Date.now() - job.enqueuedAt;
-    logger.info({ jobId: job.id, waitingMs }, "starting codex job");
+  for (const schedule of [...schedules]) {
+    if (schedule.nextRunAt > now) continue;
+    changed = true;
 
-    await sendText(sock, job.remoteJid, `Running #${shortId(job.id)}...`);
+    if (!users.has(schedule.userNumber)) {
+      logger.warn({ scheduleId: schedule.id }, "dropping schedule of a user no longer allowed");
+      schedules = schedules.filter((item) => item !== schedule);
+      continue;
+    }
 
-    try {
-      const result = await runCodex(job);
-      const stopped = activeJob?.manuallyStopped;
-      const runtimeMs = Date.now() - (activeJob?.startedAt || Date.now());
-      const cleanedOutput = trimOutput(normalizeText(result.finalText || result.stdout));
+    const lateMs = now - schedule.nextRunAt;
+    let notice;
+    let retry = false;
+    if (lateMs <= scheduleLateMs) {
+      ({ notice, retry } = fireSchedule(schedule, null));
+    } else if (config.scheduleCatchup === "once" && lateMs <= config.scheduleCatchupWindowMs) {
+      ({ notice, retry } = fireSchedule(
+        schedule,
+        `Schedule ${schedule.id} missed its run at ${formatLocalTime(schedule.nextRunAt)}, running it now.`
+      ));
+    } else {
+      notice = `Schedule ${schedule.id} missed its run at ${formatLocalTime(schedule.nextRunAt)} and was skipped.`;
+    }
+    if (notice) {
+      scheduleNotices.push({ remoteJid: schedule.remoteJid, text: notice });
+    }
 
-      if (result.detectedSessionId) {
-        await storeSessionId(result.detectedSessionId);
-        logger.info({ codexSessionId }, "updated codex session id from run output");
+    if (schedule.kind === "cron") {
+      try {
+        schedule.nextRunAt = computeNextRun(schedule, now);
+      } catch (error) {
+        logger.warn({ err: error, scheduleId: schedule.id }, "removing schedule without further runs");
+        schedules = schedules.filter((item) => item !== schedule);
       }
+    } else if (!retry) {
+      schedules = schedules.filter((item) => item !== schedule);
+    }
+  }
 
-      if (stopped) {
-        await sendText(sock, job.remoteJid, `Stopped #${shortId(job.id)}.`);
-      } else if (result.timedOut) {
-        await sendText(
-          sock,
-          job.remoteJid,
-          `Timeout on #${shortId(job.id)} after ${config.codexTimeoutMs} ms.`
-        );
-      } else if (result.exitCode !== 0) {
-        const errorText = trimOutput(normalizeText(result.stderr || result.stdout || "Unknown error"));
-        await sendText(
-          sock,
-          job.remoteJid,
-          [
-            `Codex failed on #${shortId(job.id)}.`,
-            `exit_code: ${result.exitCode}`,
-            errorText,
-          ].join("\n")
-        );
-      } else if (!cleanedOutput) {
-        await sendText(sock, job.remoteJid, `No output for #${shortId(job.id)}.`);
-      } else {
-        await sendText(
-          sock,
-          job.remoteJid,
-          `Done #${shortId(job.id)} in ${runtimeMs} ms.\n\n${cleanedOutput}`
-        );
-      }
+  if (changed) {
+    try {
+      await saveSchedules();
     } catch (error) {
-      await sendText(
-        sock,
-        job.remoteJid,
-        `Execution error on #${shortId(job.id)}: ${error.message}`
-      );
-      logger.error({ err: error, jobId: job.id }, "codex execution failed");
-    } finally {
-      if (activeJob?.outputFile) {
-        try {
-          await fs.unlink(activeJob.outputFile);
-        } catch {
-          // ignore cleanup failures
-        }
-      }
-      activeJob = null;
+      logger.warn({ err: error }, "failed to save schedules");
     }
   }
+}
 
-  queueRunning = false;
+async function flushScheduleNotices(transport) {
+  while (scheduleNotices.length > 0) {
+    const notice = scheduleNotices.shift();
+    try {
+      await sendText(transport, notice.remoteJid, notice.text);
+    } catch (error) {
+      logger.warn({ err: error }, "failed to send schedule notice");
+    }
+  }
 }
 
-async function handleStopCommand(sock, remoteJid) {
-  if (activeJob?.child?.pid) {
-    activeJob.manuallyStopped = true;
-    const stopped = await killProcessTree(activeJob.child.pid);
-    const dropped = queue.length;
-    queue.length = 0;
+function startGatewayHttpApi() {
+  const { host, port, token, userNumber } = config.httpApi;
+  const apiUser = () => users.get(userNumber);
+
+  return startHttpApi({
+    host,
+    port,
+    token,
+    logger,
+    handlers: {
+      async getStatus() {
+        return { payload: getStatusData(apiUser()) };
+      },
+
+      // Same rules as a WhatsApp prompt: role check, queue limit, inline
+      // [model=... effort=...] overrides. "workdir" takes a favorite or path.
+      async enqueue(body) {
+        const user = apiUser();
+        if (!hasRole(user, "operator")) {
+          throw httpError(403, `Prompts require role operator (API user is ${user.role})`);
+        }
+        if (typeof body.prompt !== "string" || !body.prompt.trim()) {
+          throw httpError(400, "Field \"prompt\" is required");
+        }
+        if (queue.length >= config.maxQueue) {
+          throw httpError(429, `Queue full (${config.maxQueue})`);
+        }
+
+        let inline;
+        let workdir = null;
+        try {
+          inline = parseInlineOverrides(body.prompt.trim());
+          if (body.workdir) {
+            ({ workdir } = await resolveWorkdirTarget(user, String(body.workdir)));
+          }
+        } catch (error) {
+          throw httpError(400, error.message);
+        }
+        if (!inline.prompt) {
+          throw httpError(400, "Missing prompt after the [model=... effort=...] override");
+        }
+
+        const job = createJob(user, user.jid, inline.prompt, { overrides: inline.overrides, workdir });
+        enqueueJob(job);
+        if (activeTransport?.isReady()) {
+          void processQueue(activeTransport);
+        }
+        return {
+          statusCode: 202,
+          payload: { id: job.id, position: queue.length, workdir: workdir || user.activeWorkdir },
+        };
+      },
+
+      async getJob(id) {
+        const user = apiUser();
+        if (activeJob && matchesJobId(activeJob, id) && canSeeUserRecord(user, activeJob)) {
+          return { payload: { id: activeJob.id, status: "running", startedAt: activeJob.startedAt || null } };
+        }
+        const index = queue.findIndex((job) => matchesJobId(job, id) && canSeeUserRecord(user, job));
+        if (index !== -1) {
+          return { payload: { id: queue[index].id, status: "queued", position: index + 1 } };
+        }
+        const entry = await findHistoryEntry(id);
+        if (!entry || !canSeeUserRecord(user, entry)) {
+          throw httpError(404, `Job not found: ${id}`);
+        }
+        return {
+          payload: {
+            id: entry.id,
+            status: entry.status,
+            exitCode: entry.exitCode,
+            durationMs: entry.durationMs,
+            workdir: entry.workdir,
+            prompt: entry.prompt,
+            output: entry.output,
+            error: entry.error,
+            finishedAt: entry.finishedAt,
+          },
+        };
+      },
+
+      async notify(body) {
+        if (typeof body.text !== "string" || !body.text.trim()) {
+          throw httpError(400, "Field \"text\" is required");
+        }
+        if (!activeTransport?.isReady()) {
+          throw httpError(503, "Transport is not connected");
+        }
+        await sendText(activeTransport, apiUser().jid, body.text.trim());
+        return { payload: { sent: true } };
+      },
+    },
+  });
+}
+
+function startScheduler() {
+  scheduleTimer = setInterval(async () => {
+    if (isShuttingDown) return;
+    await runDueSchedules();
+    if (activeTransport?.isReady()) {
+      await flushScheduleNotices(activeTransport);
+      void processQueue(activeTransport);
+    }
+  }, scheduleTickMs);
+}
+
+function quoteCmdArg(arg) {
+  const value = String(arg ?? "");
+  if (!value) {
+    return "\"\"";
+  }
+  if (!/[ \t"&()^<>|]/.test(value)) {
+    return value;
+  }
+  return `"${value.replace(/"/g, "\"\"")}"`;
+}
+
+function buildCodexSpawnSpec(command, args) {
+  if (process.platform !== "win32") {
+    return { command, args };
+  }
+
+  const cmdLine = [quoteCmdArg(command), ...args.map((arg) => quoteCmdArg(arg))].join(" ");
+  return {
+    command: "cmd.exe",
+    args: ["/d", "/s", "/c", cmdLine],
+  };
+}
+
+function buildInteractiveCodexArgs(user) {
+  if (user.codexSessionId) {
+    return ["-C", user.activeWorkdir, "resume", user.codexSessionId];
+  }
+  return ["-C", user.activeWorkdir, "resume", "--last"];
+}
+
+function quoteShellArg(arg) {
+  const value = String(arg ?? "");
+  if (/^[A-Za-z0-9_@%+=:,./-]+$/.test(value)) {
+    return value;
+  }
+  return `'${value.replace(/'/g, "'\\''")}'`;
+}
+
+function runProcess(command, args, options = {}) {
+  return new Promise((resolve) => {
+    let stdout = "";
+    let stderr = "";
+    let child;
+    try {
+      child = spawn(command, args, {
+        cwd: options.cwd,
+        windowsHide: true,
+        stdio: ["ignore", "pipe", "pipe"],
+      });
+    } catch (error) {
+      resolve({ code: -1, stdout, stderr, error });
+      return;
+    }
+
+    child.stdout.setEncoding("utf8");
+    child.stderr.setEncoding("utf8");
+    child.stdout.on("data", (chunk) => {
+      stdout += chunk;
+    });
+    child.stderr.on("data", (chunk) => {
+      stderr += chunk;
+    });
+    child.once("error", (error) => resolve({ code: -1, stdout, stderr, error }));
+    child.once("close", (code) => resolve({ code: code ?? -1, stdout, stderr, error: null }));
+  });
+}
+
+async function isCommandAvailable(command, versionArgs) {
+  const result = await runProcess(command, versionArgs);
+  return !result.error;
+}
+
+async function resolvePcTerminalMode() {
+  if (config.pcTerminal !== "auto") {
+    return config.pcTerminal;
+  }
+  if (process.platform === "win32") {
+    return "windows";
+  }
+  if (config.pcLauncher.length > 0) {
+    return "launcher";
+  }
+  if (await isCommandAvailable("tmux", ["-V"])) {
+    return "tmux";
+  }
+  if (await isCommandAvailable("screen", ["-v"])) {
+    return "screen";
+  }
+  throw new Error("No terminal available. Install tmux or screen, or set PC_LAUNCHER_JSON.");
+}
+
+function spawnDetached(command, args, options = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, {
+      cwd: options.cwd,
+      windowsHide: false,
+      detached: true,
+      stdio: "ignore",
+    });
+
+    child.once("error", reject);
+    child.once("spawn", resolve);
+    child.unref();
+  });
+}
+
+async function openWindowsTerminal(args) {
+  // Use argv form for `start` to avoid fragile quote parsing in one big command string.
+  await spawnDetached(
+    "cmd.exe",
+    ["/d", "/c", "start", "", "cmd.exe", "/k", config.codexCommand, ...args]
+  );
+  return { attachHint: "" };
+}
+
+async function openTmuxTerminal(user, shellCommand) {
+  const name = config.pcSessionName;
+  const exists = (await runProcess("tmux", ["has-session", "-t", `=${name}`])).code === 0;
+  const result = exists
+    ? await runProcess("tmux", ["new-window", "-t", `=${name}:`, "-c", user.activeWorkdir, shellCommand])
+    : await runProcess("tmux", ["new-session", "-d", "-s", name, "-c", user.activeWorkdir, shellCommand]);
+
+  if (result.code !== 0) {
+    throw new Error(normalizeText(result.stderr) || result.error?.message || "tmux failed");
+  }
+  return {
+    attachHint: exists
+      ? `Opened a new window in tmux session "${name}". Attach with: tmux attach -t ${name}`
+      : `Started tmux session "${name}". Attach with: tmux attach -t ${name}`,
+  };
+}
+
+async function openScreenTerminal(user, shellCommand) {
+  const name = config.pcSessionName;
+  const added = await runProcess("screen", ["-S", name, "-X", "screen", "sh", "-c", shellCommand], {
+    cwd: user.activeWorkdir,
+  });
+  if (added.code === 0) {
+    return {
+      attachHint: `Opened a new window in screen session "${name}". Attach with: screen -r ${name}`,
+    };
+  }
+
+  const created = await runProcess("screen", ["-dmS", name, "sh", "-c", shellCommand], {
+    cwd: user.activeWorkdir,
+  });
+  if (created.code !== 0) {
+    throw new Error(normalizeText(created.stderr) || created.error?.message || "screen failed");
+  }
+  return { attachHint: `Started screen session "${name}". Attach with: screen -r ${name}` };
+}
+
+async function openLauncherTerminal(user, shellCommand) {
+  if (config.pcLauncher.length === 0) {
+    throw new Error("PC_LAUNCHER_JSON is empty.");
+  }
+  const [command, ...args] = config.pcLauncher.map((part) => part
+    .replaceAll("{command}", shellCommand)
+    .replaceAll("{workdir}", user.activeWorkdir));
+  await spawnDetached(command, args, { cwd: user.activeWorkdir });
+  return { attachHint: "" };
+}
+
+async function openInteractiveCodexWindow(user) {
+  const args = buildInteractiveCodexArgs(user);
+  const mode = await resolvePcTerminalMode();
+  const shellCommand = [config.codexCommand, ...args].map((arg) => quoteShellArg(arg)).join(" ");
+
+  let opened;
+  if (mode === "windows") {
+    if (process.platform !== "win32") {
+      throw new Error("PC_TERMINAL=windows only works on Windows.");
+    }
+    opened = await openWindowsTerminal(args);
+  } else if (mode === "tmux") {
+    opened = await openTmuxTerminal(user, shellCommand);
+  } else if (mode === "screen") {
+    opened = await openScreenTerminal(user, shellCommand);
+  } else {
+    opened = await openLauncherTerminal(user, shellCommand);
+  }
+
+  return {
+    mode,
+    attachHint: opened.attachHint,
+    resumed: Boolean(user.codexSessionId),
+    sessionId: user.codexSessionId,
+    workdir: user.activeWorkdir,
+  };
+}
+
+function killProcessTreeWindows(pid) {
+  return new Promise((resolve) => {
+    const killer = spawn("taskkill", ["/PID", String(pid), "/T", "/F"], {
+      windowsHide: true,
+      stdio: "ignore",
+    });
+
+    killer.on("error", () => resolve(false));
+    // taskkill exits with 128 when the process is already gone.
+    killer.on("close", (code) => resolve(code === 0 || code === 128));
+  });
+}
+
+function isProcessGroupAlive(pgid) {
+  try {
+    process.kill(-pgid, 0);
+    return true;
+  } catch (error) {
+    return error?.code === "EPERM";
+  }
+}
+
+function signalProcessGroup(pgid, signal) {
+  try {
+    process.kill(-pgid, signal);
+    return true;
+  } catch (error) {
+    return error?.code !== "ESRCH";
+  }
+}
+
+async function waitForProcessGroupExit(pgid, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (!isProcessGroupAlive(pgid)) {
+      return true;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  return !isProcessGroupAlive(pgid);
+}
+
+async function killProcessGroupPosix(pgid) {
+  if (!isProcessGroupAlive(pgid)) {
+    return true;
+  }
+
+  signalProcessGroup(pgid, "SIGTERM");
+  if (await waitForProcessGroupExit(pgid, config.killGraceMs)) {
+    return true;
+  }
+
+  logger.warn({ pgid, graceMs: config.killGraceMs }, "process group ignored SIGTERM, sending SIGKILL");
+  signalProcessGroup(pgid, "SIGKILL");
+  return waitForProcessGroupExit(pgid, 2000);
+}
+
+async function killProcessTree(pid) {
+  if (!pid) return false;
+
+  if (process.platform === "win32") {
+    return killProcessTreeWindows(pid);
+  }
+
+  // On POSIX, Codex is spawned as the leader of its own process group (detached),
+  // so the negative pid addresses Codex and every child it started.
+  return killProcessGroupPosix(pid);
+}
+
+async function runCodex(job, { workdir, sessionId, mode, model, effort, onEvent }) {
+  const outputFile = path.join(config.runtimeDir, `codex-last-message-${job.id}.txt`);
+  // `-i` takes several values, so each image is followed by another flag, never by "-".
+  const imageArgs = (job.images || []).flatMap((filePath) => ["-i", filePath]);
+  const args = sessionId
+    ? [
+      "exec",
+      ...imageArgs,
+      "--json",
+      "-C",
+      workdir,
+      "--skip-git-repo-check",
+      "-o",
+      outputFile,
+      ...codexModes[mode].args,
+      ...buildModelArgs(model, effort),
+      ...config.codexExtraArgs,
+      "resume",
+      sessionId,
+      "-",
+    ]
+    : [
+      "exec",
+      ...imageArgs,
+      "--json",
+      "-C",
+      workdir,
+      "--skip-git-repo-check",
+      "-o",
+      outputFile,
+      ...codexModes[mode].args,
+      ...buildModelArgs(model, effort),
+      ...config.codexExtraArgs,
+      "-",
+    ];
+
+  return new Promise((resolve, reject) => {
+    let stderr = "";
+    let timedOut = false;
+    let detectedSessionId = null;
+    let lastAgentMessage = "";
+    const eventErrors = [];
+    const spawnSpec = buildCodexSpawnSpec(config.codexCommand, args);
+
+    const parser = createJsonlParser((event) => {
+      detectedSessionId = extractThreadId(event) || detectedSessionId;
+      lastAgentMessage = extractAgentMessage(event) ?? lastAgentMessage;
+      const errorMessage = extractErrorMessage(event);
+      if (errorMessage) {
+        eventErrors.push(errorMessage);
+      }
+      if (onEvent) {
+        try {
+          onEvent(event);
+        } catch (error) {
+          logger.warn({ err: error, jobId: job.id }, "codex event handler failed");
+        }
+      }
+    });
+
+    const child = spawn(spawnSpec.command, spawnSpec.args, {
+      cwd: workdir,
+      windowsHide: true,
+      detached: process.platform !== "win32",
+      stdio: ["pipe", "pipe", "pipe"],
+    });
+
+    Object.assign(activeJob, {
+      pid: child.pid,
+      child,
+      startedAt: Date.now(),
+      outputFile,
+    });
+    void persistQueue();
+
+    const timeoutHandle = setTimeout(async () => {
+      timedOut = true;
+      const killed = await killProcessTree(child.pid);
+      if (!killed) {
+        logger.error({ jobId: job.id, pid: child.pid }, "could not kill codex process tree after timeout");
+      }
+    }, config.codexTimeoutMs);
+
+    child.stdout.setEncoding("utf8");
+    child.stderr.setEncoding("utf8");
+
+    // Only the parsed results are kept; the parser buffers just the unterminated last line.
+    child.stdout.on("data", (chunk) => {
+      parser.push(chunk);
+    });
+
+    child.stderr.on("data", (chunk) => {
+      stderr += chunk;
+    });
+
+    child.on("error", (error) => {
+      clearTimeout(timeoutHandle);
+      reject(error);
+    });
+
+    child.on("close", async (exitCode, signal) => {
+      clearTimeout(timeoutHandle);
+      parser.end();
+      let finalText = "";
+      try {
+        finalText = await fs.readFile(outputFile, "utf8");
+      } catch {
+        finalText = "";
+      }
+
+      resolve({
+        exitCode: exitCode ?? -1,
+        signal: signal || "",
+        stderr,
+        errorText: eventErrors.join("\n"),
+        finalText: finalText || lastAgentMessage,
+        detectedSessionId,
+        timedOut,
+      });
+    });
+
+    child.stdin.write(job.prompt);
+    child.stdin.end();
+  });
+}
+
+function createProgressReporter(transport, job) {
+  const pending = [];
+  let lastSentAt = 0;
+  let timer = null;
+  let closed = false;
+
+  const flush = async () => {
+    timer = null;
+    if (closed || pending.length === 0) return;
+    const lines = pending.splice(0, pending.length);
+    lastSentAt = Date.now();
+    try {
+      await sendText(
+        transport,
+        job.remoteJid,
+        [`#${shortId(job.id)} progress:`, ...lines].join("\n"),
+        jobReplyOptions(job)
+      );
+    } catch (error) {
+      logger.warn({ err: error, jobId: job.id }, "failed to send progress update");
+    }
+  };
+
+  return {
+    onEvent(event) {
+      if (closed || config.progressMode === "off") return;
+      const line = describeCodexEvent(event, config.progressMode);
+      if (!line) return;
+      pending.push(line);
+      if (pending.length > 20) {
+        pending.splice(0, pending.length - 20);
+      }
+      if (!timer) {
+        const delay = Math.max(0, lastSentAt + config.progressIntervalMs - Date.now());
+        timer = setTimeout(() => {
+          void flush();
+        }, delay);
+      }
+    },
+    close() {
+      closed = true;
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+    },
+  };
+}
+
+async function readHistory() {
+  let raw = "";
+  try {
+    raw = await fs.readFile(historyFile, "utf8");
+  } catch {
+    return [];
+  }
+
+  const entries = [];
+  for (const line of raw.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // skip corrupt lines
+    }
+  }
+  return entries;
+}
+
+async function pruneHistory() {
+  const entries = await readHistory();
+  const minFinishedAt = Date.now() - config.historyMaxDays * 24 * 60 * 60 * 1000;
+  const kept = entries
+    .filter((entry) => (entry.finishedAt || 0) >= minFinishedAt)
+    .slice(-config.historyMaxEntries);
+
+  if (kept.length !== entries.length) {
+    const body = kept.map((entry) => JSON.stringify(entry)).join("\n");
+    await fs.writeFile(historyFile, body ? `${body}\n` : "", "utf8");
+    logger.info({ removed: entries.length - kept.length }, "pruned job history");
+  }
+  historyCount = kept.length;
+}
+
+async function appendHistory(entry) {
+  try {
+    await fs.appendFile(historyFile, `${JSON.stringify(entry)}\n`, "utf8");
+    historyCount += 1;
+    if (historyCount > config.historyMaxEntries) {
+      await pruneHistory();
+    }
+  } catch (error) {
+    logger.warn({ err: error, jobId: entry.id }, "failed to write job history");
+  }
+}
+
+async function findHistoryEntry(idInput) {
+  const needle = String(idInput || "").trim().replace(/^#/, "");
+  if (!needle) return null;
+  const entries = await readHistory();
+  for (let i = entries.length - 1; i >= 0; i -= 1) {
+    if (entries[i].id === needle || shortId(entries[i].id) === needle) {
+      return entries[i];
+    }
+  }
+  return null;
+}
+
+// Jobs, history entries and schedules: admins see all, everyone else their own.
+function canSeeUserRecord(user, record) {
+  // Records written before multi-user support have no owner and belong to the primary number.
+  const owner = record.userNumber || config.allowedNumber;
+  return hasRole(user, "admin") || owner === user.number;
+}
+
+function formatHistoryLine(entry) {
+  const when = new Date(entry.finishedAt).toISOString().replace("T", " ").slice(0, 16);
+  const preview = entry.prompt.replace(/\s+/g, " ").slice(0, 60);
+  const seconds = Math.round((entry.durationMs || 0) / 1000);
+  return `#${shortId(entry.id)} ${when} ${entry.status} ${seconds}s - ${preview}`;
+}
+
+// Snapshot failures (e.g. a broken git repo) only cost the change report, never the job.
+async function captureJobState(workdir, job) {
+  if (!config.changeReport && !config.checkpoints) return null;
+  try {
+    return await captureWorkdirState(workdir, {
+      maxFiles: config.changeSnapshotMaxFiles,
+      maxBytes: config.changeSnapshotMaxBytes,
+    });
+  } catch (error) {
+    logger.warn({ err: error, jobId: job.id }, "could not snapshot workdir before job");
+    return null;
+  }
+}
+
+async function reportWorkdirChanges(user, job, workdir, before) {
+  if (!before || !config.changeReport) return "";
+  try {
+    const after = await captureWorkdirState(workdir, {
+      maxFiles: config.changeSnapshotMaxFiles,
+      maxBytes: config.changeSnapshotMaxBytes,
+    });
+    const report = await compareWorkdirStates(before, after);
+    user.lastChanges = { jobId: job.id, workdir, ...report };
+    return formatChangeSummary(report);
+  } catch (error) {
+    logger.warn({ err: error, jobId: job.id }, "could not compare workdir after job");
+    return "";
+  }
+}
+
+async function loadCheckpoints() {
+  try {
+    const parsed = JSON.parse(await fs.readFile(checkpointsFile, "utf8"));
+    checkpoints = Array.isArray(parsed?.checkpoints) ? parsed.checkpoints : [];
+  } catch {
+    checkpoints = [];
+  }
+  logger.info({ count: checkpoints.length }, "loaded checkpoints");
+}
+
+async function saveCheckpoints() {
+  await fs.writeFile(checkpointsFile, `${JSON.stringify({ checkpoints }, null, 2)}\n`, "utf8");
+}
+
+// Keeps the newest CHECKPOINT_MAX_PER_USER checkpoints per user, none older than CHECKPOINT_MAX_DAYS.
+async function pruneCheckpoints() {
+  const cutoff = Date.now() - config.checkpointMaxDays * 24 * 60 * 60 * 1000;
+  const perUser = new Map();
+  const keep = [];
+  const drop = [];
+  for (const checkpoint of [...checkpoints].sort((a, b) => b.createdAt - a.createdAt)) {
+    const count = perUser.get(checkpoint.userNumber) || 0;
+    if (checkpoint.createdAt < cutoff || count >= config.checkpointMaxPerUser) {
+      drop.push(checkpoint);
+    } else {
+      perUser.set(checkpoint.userNumber, count + 1);
+      keep.push(checkpoint);
+    }
+  }
+  if (drop.length === 0) return;
+
+  for (const checkpoint of drop) {
+    try {
+      await deleteCheckpoint(checkpoint.workdir, checkpoint);
+    } catch (error) {
+      logger.warn({ err: error, jobId: checkpoint.id }, "could not delete checkpoint");
+    }
+  }
+  checkpoints = keep.reverse();
+  await saveCheckpoints();
+  logger.info({ pruned: drop.length }, "pruned checkpoints");
+}
+
+async function createCheckpoint(job, workdir, state, { label = null } = {}) {
+  if (!config.checkpoints || !state) return null;
+  const { id } = job;
+  try {
+    const saved = await saveCheckpoint(state, {
+      ref: `refs/codex-gateway/checkpoints/${id}`,
+      dir: path.join(checkpointsDir, id),
+      message: `codex-gateway checkpoint before #${shortId(id)}`,
+    });
+    const checkpoint = {
+      id,
+      userNumber: job.userNumber,
+      workdir,
+      prompt: job.prompt,
+      label,
+      createdAt: Date.now(),
+      ...saved,
+    };
+    checkpoints = checkpoints.filter((entry) => entry.id !== id);
+    checkpoints.push(checkpoint);
+    await saveCheckpoints();
+    await pruneCheckpoints();
+    return checkpoint;
+  } catch (error) {
+    logger.warn({ err: error, jobId: job.id }, "could not create checkpoint");
+    return null;
+  }
+}
+
+function formatCheckpointLine(checkpoint) {
+  const partial = checkpoint.kind === "files" && !checkpoint.complete ? " [partial]" : "";
+  const title = checkpoint.label === "undo"
+    ? "state before /undo"
+    : checkpoint.prompt.replace(/\s+/g, " ").slice(0, 60);
+  return `#${shortId(checkpoint.id)} ${formatLocalTime(checkpoint.createdAt)} ${checkpoint.kind}${partial} ${checkpoint.workdir}\n  ${title}`;
+}
+
+function formatCheckpoints(user) {
+  const visible = checkpoints.filter((checkpoint) => hasRole(user, "admin") || checkpoint.userNumber === user.number);
+  if (visible.length === 0) {
+    return "No checkpoints yet. One is taken before each Codex job.";
+  }
+  return [
+    "Checkpoints (newest first, /undo <id> restores the state before that job):",
+    ...[...visible].reverse().map(formatCheckpointLine),
+  ].join("\n");
+}
+
+
+async function handleUndoCommand(transport, user, remoteJid, needle) {
+  const own = checkpoints.filter((checkpoint) => hasRole(user, "admin") || checkpoint.userNumber === user.number);
+  const checkpoint = needle
+    ? own.findLast((entry) => matchesJobId(entry, needle))
+    : own.findLast((entry) => !entry.label && entry.userNumber === user.number);
+  if (!checkpoint) {
+    await sendText(transport, remoteJid, needle ? `Checkpoint not found: ${needle}` : "No checkpoint to undo. See /checkpoints.");
+    return;
+  }
+  if (activeJob && getJobWorkdir(activeJob) === checkpoint.workdir) {
+    await sendText(transport, remoteJid, `#${shortId(activeJob.id)} is running in ${checkpoint.workdir}. Wait for it or /cancel it first.`);
+    return;
+  }
+  const queued = queue.filter((job) => getJobWorkdir(job) === checkpoint.workdir);
+  if (queued.length > 0) {
+    await sendText(
+      transport,
+      remoteJid,
+      `${queued.map((job) => `#${shortId(job.id)}`).join(", ")} queued for ${checkpoint.workdir}. Wait for them or /cancel them first.`
+    );
+    return;
+  }
+
+  undoInProgress = true;
+  try {
+    // The current state is kept too, so an /undo can itself be undone.
+    sequence += 1;
+    const undoJob = { id: `${Date.now()}-${sequence}`, userNumber: user.number, prompt: `/undo ${shortId(checkpoint.id)}` };
+    const current = await captureJobState(checkpoint.workdir, undoJob);
+    const safety = await createCheckpoint(undoJob, checkpoint.workdir, current, { label: "undo" });
+    const { restored, removed } = await restoreCheckpoint(checkpoint.workdir, checkpoint);
+    logger.info({ checkpoint: checkpoint.id, restored: restored.length, removed: removed.length }, "restored checkpoint");
+    const lines = [
+      `Restored ${checkpoint.workdir} to the state before #${shortId(checkpoint.id)}: ${restored.length} file(s) restored, ${removed.length} removed.`,
+    ];
+    if (checkpoint.kind === "git") {
+      lines.push("Commits, HEAD and the git index were not changed.");
+    } else if (!checkpoint.complete) {
+      lines.push("The checkpoint was partial (folder too large): files it did not cover were left as they are.");
+    }
+    if (safety) {
+      lines.push(`Undo this with /undo ${shortId(safety.id)}.`);
+    }
+    await sendText(transport, remoteJid, lines.join("\n"));
+  } catch (error) {
+    await sendText(transport, remoteJid, `Could not restore checkpoint: ${error.message}`);
+  } finally {
+    undoInProgress = false;
+    void processQueue(transport);
+  }
+}
+
+async function sendLastDiff(transport, user, remoteJid, fileFilter) {
+  const { lastChanges } = user;
+  if (!lastChanges) {
+    await sendText(transport, remoteJid, "No change report yet. It is recorded after each Codex job.");
+    return;
+  }
+  const label = `#${shortId(lastChanges.jobId)}`;
+  if (lastChanges.changes.length === 0) {
+    await sendText(transport, remoteJid, `${label} changed no files.`);
+    return;
+  }
+  const patch = filterPatch(lastChanges.patch, fileFilter);
+  if (!patch.trim()) {
+    await sendText(
+      transport,
+      remoteJid,
+      fileFilter
+        ? `No patch for "${fileFilter}" in ${label}. Changed: ${lastChanges.changes.map((change) => change.path).join(", ")}`
+        : `${label} has no text patch (binary or very large files only).`
+    );
+    return;
+  }
+  if (patch.length > config.maxResponseChars) {
+    await sendDocument(transport, remoteJid, {
+      data: Buffer.from(patch, "utf8"),
+      fileName: `diff-${shortId(lastChanges.jobId)}.patch`,
+      mimetype: "text/x-diff",
+      caption: `${label} diff${fileFilter ? ` for ${fileFilter}` : ""} (${patch.length} chars)`,
+    });
+    return;
+  }
+  await sendText(transport, remoteJid, `${label} diff${fileFilter ? ` for ${fileFilter}` : ""}:\n\`\`\`\n${patch.trimEnd()}\n\`\`\``);
+}
+
+async function processQueue(transport) {
+  if (queueRunning) return;
+  queueRunning = true;
+
+  while (queue.length > 0 && !isShuttingDown && !queuePaused && !undoInProgress) {
+    const job = queue.shift();
+    const user = getJobUser(job);
+    // Visible to /stop, /cancel and /queue (and kept on disk) while the workdir is checked and snapshotted.
+    activeJob = { ...job, startedAt: Date.now(), manuallyStopped: false };
+    void persistQueue();
+    const waitingMs = Date.now() - job.enqueuedAt;
+    logger.info({ jobId: job.id, waitingMs, user: maskNumber(job.userNumber) }, "starting codex job");
+
+    await sendText(
+      transport,
+      job.remoteJid,
+      `Running #${shortId(job.id)}${job.scheduleId ? ` (schedule ${job.scheduleId})` : ""}...`,
+      jobReplyOptions(job)
+    );
+
+    const progress = createProgressReporter(transport, job);
+    const { model, effort } = job;
+    const workdir = job.workdir || user.activeWorkdir;
+    const sessionId = job.workdir ? null : user.codexSessionId;
+    const historyEntry = {
+      id: job.id,
+      userNumber: job.userNumber,
+      remoteJid: job.remoteJid,
+      prompt: job.prompt,
+      workdir,
+      sessionId,
+      mode: job.mode,
+      model,
+      effort,
+      enqueuedAt: job.enqueuedAt,
+      status: "error",
+      exitCode: null,
+      durationMs: 0,
+      timedOut: false,
+      stopped: false,
+      output: "",
+      error: "",
+    };
+    try {
+      // Stored sessions, schedules and restored jobs may point anywhere; checked again right before running.
+      await assertAllowedWorkdir(user, workdir);
+      const changesBefore = await captureJobState(workdir, job);
+      // A restarted job keeps the checkpoint from before its interrupted run.
+      if (!job.restarted || !checkpoints.some((entry) => entry.id === job.id)) {
+        await createCheckpoint(job, workdir, changesBefore);
+      }
+      if (activeJob.manuallyStopped) {
+        progress.close();
+        Object.assign(historyEntry, { status: "stopped", stopped: true });
+        await sendText(transport, job.remoteJid, `Stopped #${shortId(job.id)} before it started.`, jobReplyOptions(job));
+        continue;
+      }
+      const result = await runCodex(job, {
+        workdir,
+        sessionId,
+        mode: job.mode,
+        model,
+        effort,
+        onEvent: progress.onEvent,
+      });
+      progress.close();
+      const stopped = activeJob?.manuallyStopped;
+      const runtimeMs = Date.now() - (activeJob?.startedAt || Date.now());
+      const cleanedOutput = normalizeText(result.finalText);
+      const changeSummary = await reportWorkdirChanges(user, job, workdir, changesBefore);
+      const withChanges = (text) => (changeSummary ? `${text}\n${changeSummary}` : text);
+
+      if (result.detectedSessionId && !job.workdir) {
+        await storeSessionId(user, result.detectedSessionId);
+        logger.info({ codexSessionId: user.codexSessionId }, "updated codex session id from run output");
+      }
+
+      Object.assign(historyEntry, {
+        sessionId: job.workdir ? result.detectedSessionId : user.codexSessionId,
+        exitCode: result.exitCode,
+        durationMs: runtimeMs,
+        timedOut: result.timedOut,
+        stopped: Boolean(stopped),
+        output: cleanedOutput,
+        error: result.exitCode !== 0 ? normalizeText(result.errorText || result.stderr) : "",
+      });
+
+      if (stopped) {
+        historyEntry.status = "stopped";
+        await sendText(transport, job.remoteJid, withChanges(`Stopped #${shortId(job.id)}.`), jobReplyOptions(job));
+      } else if (result.timedOut) {
+        historyEntry.status = "timeout";
+        await sendText(
+          transport,
+          job.remoteJid,
+          withChanges(`Timeout on #${shortId(job.id)} after ${config.codexTimeoutMs} ms.`),
+          jobReplyOptions(job)
+        );
+      } else if (result.exitCode !== 0) {
+        historyEntry.status = "failed";
+        const errorText = trimOutput(normalizeText(result.errorText || result.stderr || "Unknown error"));
+        await sendText(
+          transport,
+          job.remoteJid,
+          [
+            withChanges(`Codex failed on #${shortId(job.id)}.`),
+            `exit_code: ${result.exitCode}`,
+            errorText,
+          ].join("\n"),
+          jobReplyOptions(job)
+        );
+      } else if (!cleanedOutput) {
+        historyEntry.status = "empty";
+        await sendText(transport, job.remoteJid, withChanges(`No output for #${shortId(job.id)}.`), jobReplyOptions(job));
+      } else {
+        historyEntry.status = "done";
+        await sendJobAnswer(transport, user, job, withChanges(`Done #${shortId(job.id)} in ${runtimeMs} ms.`), cleanedOutput);
+      }
+    } catch (error) {
+      progress.close();
+      historyEntry.error = error.message;
+      await sendText(
+        transport,
+        job.remoteJid,
+        `Execution error on #${shortId(job.id)}: ${error.message}`,
+        jobReplyOptions(job)
+      );
+      logger.error({ err: error, jobId: job.id }, "codex execution failed");
+    } finally {
+      await appendHistory({ ...historyEntry, finishedAt: Date.now() });
+      if (!isShuttingDown) {
+        // On shutdown the job stays persisted and its images are needed after restart.
+        await cleanupJobFiles(job);
+      }
+      if (activeJob?.outputFile) {
+        try {
+          await fs.unlink(activeJob.outputFile);
+        } catch {
+          // ignore cleanup failures
+        }
+      }
+      activeJob = null;
+      void persistQueue();
+    }
+  }
+
+  queueRunning = false;
+}
+
+function formatIsolatedWorkdirNotice(user) {
+  const { worktree } = getCurrentSession(user);
+  return `Session ${user.currentSessionName} works on branch ${worktree.branch} in its own worktree. Use /merge or /discard first, or /session-use another session.`;
+}
+
+// Back to the folder the session was isolated from (or the default if it is gone).
+async function leaveWorktree(user) {
+  const session = getCurrentSession(user);
+  const { sourceWorkdir } = session.worktree;
+  session.worktree = null;
+  try {
+    await validateDirectory(sourceWorkdir);
+    await storeWorkdir(user, sourceWorkdir);
+  } catch {
+    await resetWorkdirToDefault(user);
+  }
+}
+
+async function handleBranchCommand(transport, user, remoteJid, argText) {
+  const session = getCurrentSession(user);
+  const [subcommand = "", name = ""] = argText.split(/\s+/);
+
+  if (!subcommand) {
+    if (!session.worktree) {
+      await sendText(
+        transport,
+        remoteJid,
+        `Session ${user.currentSessionName} works directly in ${user.activeWorkdir}.\nUse /branch new [name] to give it its own git worktree and branch.`
+      );
+      return;
+    }
+    const { worktree } = session;
+    const status = await getWorktreeStatus(worktree);
+    await sendText(
+      transport,
+      remoteJid,
+      [
+        `Session ${user.currentSessionName} is isolated:`,
+        `- branch: ${worktree.branch} (from ${worktree.baseBranch})`,
+        `- worktree: ${worktree.path}`,
+        `- repo: ${worktree.repoRoot}`,
+        status.exists
+          ? `- ${status.commitsAhead ?? "?"} commit(s) ahead, ${status.uncommitted} uncommitted file(s)`
+          : "- worktree folder is missing; /discard cleans up",
+        "/merge lands the work on the base branch, /discard drops it.",
+      ].join("\n")
+    );
+    return;
+  }
+
+  if (subcommand !== "new") {
+    await sendText(transport, remoteJid, "Usage: /branch (status) or /branch new [name]");
+    return;
+  }
+  if (session.worktree) {
+    await sendText(transport, remoteJid, `Already isolated on branch ${session.worktree.branch}.`);
+    return;
+  }
+  if (hasWorkInProgress(user)) {
+    await sendText(transport, remoteJid, "Cannot isolate while jobs are running/queued. Use /stop first.");
+    return;
+  }
+
+  const branch = name || `codex/${user.currentSessionName}-${Date.now().toString(36)}`;
+  try {
+    const created = await createWorktree(user.activeWorkdir, {
+      worktreePath: path.join(worktreesDir, `${user.number}-${user.currentSessionName}`),
+      branch,
+    });
+    session.worktree = { ...created, sourceWorkdir: user.activeWorkdir, createdAt: Date.now() };
+    // The Codex thread carries over; only its working folder moves into the worktree.
+    await storeWorkdir(user, path.join(created.path, created.subdir));
+    logger.info({ user: maskNumber(user.number), branch, worktree: created.path }, "created session worktree");
+    await sendText(
+      transport,
+      remoteJid,
+      [
+        `Session ${user.currentSessionName} now works on branch ${branch} (from ${created.baseBranch}).`,
+        `workdir: ${user.activeWorkdir}`,
+        "Your checkout stays untouched. /merge lands the work, /discard drops it.",
+      ].join("\n")
+    );
+  } catch (error) {
+    await sendText(transport, remoteJid, `Could not create worktree: ${error.message}`);
+  }
+}
+
+async function handleMergeCommand(transport, user, remoteJid) {
+  const session = getCurrentSession(user);
+  if (!session.worktree) {
+    await sendText(transport, remoteJid, "This session has no worktree branch. Start one with /branch new.");
+    return;
+  }
+  if (hasWorkInProgress(user)) {
+    await sendText(transport, remoteJid, "Cannot merge while jobs are running/queued. Use /stop first.");
+    return;
+  }
+
+  const { worktree } = session;
+  try {
+    const { committed, merged } = await mergeWorktree(worktree, { message: `Codex session ${user.currentSessionName}` });
+    await removeWorktree(worktree);
+    await leaveWorktree(user);
+    logger.info({ user: maskNumber(user.number), branch: worktree.branch, merged }, "merged session worktree");
+    await sendText(
+      transport,
+      remoteJid,
+      [
+        `Merged ${worktree.branch} into ${worktree.baseBranch} (${merged.slice(0, 10)}).`,
+        ...(committed ? [`Uncommitted changes were committed first (${committed.slice(0, 10)}).`] : []),
+        `Worktree removed; workdir back to ${user.activeWorkdir}.`,
+      ].join("\n")
+    );
+  } catch (error) {
+    await sendText(transport, remoteJid, `Could not merge: ${error.message}`);
+  }
+}
+
+async function handleDiscardCommand(transport, user, remoteJid) {
+  const session = getCurrentSession(user);
+  if (!session.worktree) {
+    await sendText(transport, remoteJid, "This session has no worktree branch to discard.");
+    return;
+  }
+  if (hasWorkInProgress(user)) {
+    await sendText(transport, remoteJid, "Cannot discard while jobs are running/queued. Use /stop first.");
+    return;
+  }
+
+  const { worktree } = session;
+  try {
+    const tip = await removeWorktree(worktree);
+    await leaveWorktree(user);
+    logger.info({ user: maskNumber(user.number), branch: worktree.branch, tip }, "discarded session worktree");
+    await sendText(
+      transport,
+      remoteJid,
+      [
+        `Discarded ${worktree.branch}; workdir back to ${user.activeWorkdir}.`,
+        ...(tip ? [`Its last commit was ${tip.slice(0, 10)} (git branch ${worktree.branch} ${tip.slice(0, 10)} brings it back until git gc).`] : []),
+      ].join("\n")
+    );
+  } catch (error) {
+    await sendText(transport, remoteJid, `Could not discard: ${error.message}`);
+  }
+}
+
+async function handleStopCommand(transport, user, remoteJid) {
+  // Admins stop everything; other users only their own run and queued items.
+  const scope = hasRole(user, "admin") ? null : user.number;
+  const ownsActiveJob = activeJob && (!scope || activeJob.userNumber === scope);
+
+  if (ownsActiveJob && !activeJob.child?.pid) {
+    // Still snapshotting the workdir: processQueue skips the run once that is done.
+    const { id } = activeJob;
+    activeJob.manuallyStopped = true;
+    const dropped = await clearQueue(scope);
+    await sendText(transport, remoteJid, `Stopped #${shortId(id)} before it started. Cleared ${dropped} queued item(s).`);
+    return;
+  }
+
+  if (ownsActiveJob) {
+    const pid = activeJob.child.pid;
+    activeJob.manuallyStopped = true;
+    // Cleared first: while the kill waits out KILL_GRACE_MS, processQueue would start the next job.
+    const dropped = await clearQueue(scope);
+    const stopped = await killProcessTree(pid);
+
+    await sendText(
+      transport,
+      remoteJid,
+      stopped
+        ? `Stopped active run. Cleared ${dropped} queued item(s).`
+        : `Could not stop active run cleanly (pid ${pid} may still be running). Cleared ${dropped} queued item(s).`
+    );
+    return;
+  }
+
+  const dropped = await clearQueue(scope);
+  if (dropped > 0) {
+    await sendText(transport, remoteJid, `Cleared ${dropped} queued item(s).`);
+    return;
+  }
+
+  await sendText(
+    transport,
+    remoteJid,
+    activeJob ? "Nothing of yours is running. Only an admin can stop other users' jobs." : "Nothing running."
+  );
+}
+
+function hasWorkInProgress(user) {
+  return activeJob?.userNumber === user.number || queue.some((job) => job.userNumber === user.number);
+}
+
+function matchesJobId(job, needle) {
+  const value = needle.replace(/^#/, "");
+  return job.id === value || shortId(job.id) === value;
+}
+
+function formatAge(ms) {
+  const seconds = Math.max(0, Math.floor(ms / 1000));
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m`;
+  return `${Math.floor(seconds / 3600)}h${Math.floor((seconds % 3600) / 60)}m`;
+}
+
+function formatQueueLine(user, job, label) {
+  const preview = canSeeUserRecord(user, job)
+    ? String(job.prompt || "").replace(/\s+/g, " ").slice(0, 60)
+    : `(job of ${maskNumber(job.userNumber)})`;
+  return `${label} #${shortId(job.id)} ${formatAge(Date.now() - job.enqueuedAt)} - ${preview}`;
+}
+
+function formatQueue(user) {
+  if (!activeJob && queue.length === 0) {
+    return queuePaused ? "Queue is empty (paused)." : "Queue is empty.";
+  }
+  const lines = [`Queue: ${queue.length} pending${queuePaused ? " (paused, /resume to continue)" : ""}`];
+  if (activeJob) {
+    lines.push(formatQueueLine(user, activeJob, activeJob.child ? "running" : "starting"));
+  }
+  queue.forEach((job, index) => {
+    lines.push(formatQueueLine(user, job, `${index + 1}.`));
+  });
+  return lines.join("\n");
+}
+
+async function handleCancelCommand(transport, user, remoteJid, needle) {
+  const canTouch = (job) => hasRole(user, "admin") || job.userNumber === user.number;
+
+  if (activeJob && matchesJobId(activeJob, needle)) {
+    if (!canTouch(activeJob)) {
+      await sendText(transport, remoteJid, "Only an admin can cancel other users' jobs.");
+      return;
+    }
+    if (!activeJob.child?.pid) {
+      activeJob.manuallyStopped = true;
+      await sendText(transport, remoteJid, `Cancelled #${shortId(activeJob.id)} before it started.`);
+      return;
+    }
+    const { id } = activeJob;
+    const pid = activeJob.child.pid;
+    activeJob.manuallyStopped = true;
+    const stopped = await killProcessTree(pid);
+    await sendText(
+      transport,
+      remoteJid,
+      stopped
+        ? `Cancelled running job #${shortId(id)}.`
+        : `Could not stop #${shortId(id)} cleanly (pid ${pid} may still be running).`
+    );
+    return;
+  }
+
+  const index = queue.findIndex((job) => matchesJobId(job, needle));
+  if (index === -1) {
+    await sendText(transport, remoteJid, `Job not in queue: ${needle}`);
+    return;
+  }
+  if (!canTouch(queue[index])) {
+    await sendText(transport, remoteJid, "Only an admin can cancel other users' jobs.");
+    return;
+  }
+  const [job] = queue.splice(index, 1);
+  await cleanupJobFiles(job);
+  await persistQueue();
+  await sendText(transport, remoteJid, `Cancelled queued job #${shortId(job.id)}.`);
+}
+
+// Minimum role per command; anything not listed needs "operator".
+const commandRoles = {
+  help: "read-only",
+  guide: "read-only",
+  status: "read-only",
+  session: "read-only",
+  "session-list": "read-only",
+  sessions: "read-only",
+  pwd: "read-only",
+  "fav-list": "read-only",
+  history: "read-only",
+  show: "read-only",
+  more: "read-only",
+  diff: "read-only",
+  get: "read-only",
+  inbox: "read-only",
+  queue: "read-only",
+  "schedule-list": "read-only",
+  checkpoints: "read-only",
+  bump: "admin",
+  pause: "admin",
+  resume: "admin",
+  "fav-add": "admin",
+  "fav-rm": "admin",
+  pc: "admin",
+  openpc: "admin",
+};
+
+async function handleCommand(transport, user, remoteJid, rawText) {
+  const commandLine = rawText.slice(1).trim();
+  const firstSpace = commandLine.indexOf(" ");
+  const commandRaw = firstSpace === -1 ? commandLine : commandLine.slice(0, firstSpace);
+  const argText = firstSpace === -1 ? "" : commandLine.slice(firstSpace + 1).trim();
+  const command = String(commandRaw || "").toLowerCase();
+
+  const requiredRole = commandRoles[command] || "operator";
+  if (!hasRole(user, requiredRole)) {
+    await sendText(transport, remoteJid, `/${command} requires role ${requiredRole} (you are ${user.role}).`);
+    return;
+  }
+
+  if (command === "help") {
+    await sendText(
+      transport,
+      remoteJid,
+      [
+        "Gateway commands:",
+        "/help - quick command list",
+        "/guide - simple step-by-step guide",
+        "/status - queue and runtime status",
+        "/session - show current session name and Codex session id",
+        "/session-list - list named sessions",
+        "/session-new <name> - create a session and switch to it",
+        "/session-use <name> - switch to a session",
+        "/session-rm <name> - delete a session",
+        "/pwd - show current Codex workdir",
+        "/cd <path> - change Codex workdir",
+        "/cd-reset - reset workdir to default from .env",
+        "/fav-list - list favorite workdirs",
+        "/fav-add <name> <path> [--mode <mode>] - save favorite workdir (optionally pin a mode)",
+        "/fav-rm <name> - remove favorite workdir",
+        "/fav <name> - switch workdir to favorite",
+        "/get <path|glob> - send workdir file(s) as documents (folders are zipped)",
+        "/inbox - list files received via WhatsApp (/inbox purge deletes them)",
+        "/pc - open Codex terminal on this PC, or a tmux/screen session (resume current session if available)",
+        "/history [n] - list recent jobs",
+        "/show <id> - resend the full answer of a job",
+        "/more - next part of the last long answer",
+        "/diff [file] - full patch of the files changed by your last job",
+        "/checkpoints - list workdir checkpoints taken before jobs",
+        "/undo [id] - restore the workdir to before your last job (or job <id>)",
+        "/branch [new [name]] - show or start this session's own git worktree and branch",
+        "/merge - merge the session branch into its base branch and remove the worktree",
+        "/discard - delete the session branch and worktree",
+        "/mode [mode] - show or set sandbox mode (default, read-only, workspace-write, full-auto, danger-full-access)",
+        "/confirm - confirm a dangerous mode change",
+        "/model <name|default> - set Codex model for this session",
+        "/effort <minimal|low|medium|high|default> - set reasoning effort for this session",
+        "Prefix a prompt with [model=<name> effort=<level>] for a one-off override.",
+        "/queue - list running and pending jobs",
+        "/cancel <id> - drop a queued job or stop it if running",
+        "/bump <id> - move a queued job to the front",
+        "/pause - hold the queue (the running job finishes)",
+        "/resume - continue processing the queue",
+        "/schedule cron <m h dom mon dow> [in <fav|path>] | <prompt> - recurring prompt",
+        "/schedule at <+30m|HH:MM|YYYY-MM-DD HH:MM> [in <fav|path>] | <prompt> - one-shot prompt",
+        "/schedule-list - list schedules",
+        "/schedule-rm <id> - delete a schedule",
+        "/stop - stop active run and clear queue",
+        "/new - reset Codex session context for the current folder",
+        "",
+        "Any message without leading '/' is sent to Codex.",
+      ].join("\n")
+    );
+    return;
+  }
+
+  if (command === "guide") {
+    await sendText(
+      transport,
+      remoteJid,
+      [
+        "Quick guide (non-tech):",
+        "1) Check status: /status",
+        "2) See current folder: /pwd",
+        "3) Change folder: /cd C:\\Users\\sflei\\Desktop\\SomeProject",
+        "4) Save folder as favorite: /fav-add proj C:\\Users\\sflei\\Desktop\\SomeProject",
+        "5) Switch to favorite later: /fav proj",
+        "6) Send normal text (without /) to run Codex in that folder.",
+        "",
+        "Useful commands:",
+        "- /pc : open Codex terminal on your PC (resumes current session when possible)",
+        "- /stop : stop running job + clear queue",
+        "- /new : reset chat context with Codex",
+        "- /cd-reset : go back to default folder from .env",
+        "- /fav-list : show all favorites",
+        "- /fav-rm <name> : delete one favorite",
+        "",
+        "Example workflow:",
+        "A) /fav proj",
+        "B) \"Please list all files in this folder.\"",
+        "C) \"Create a README for this project.\"",
+      ].join("\n")
+    );
+    return;
+  }
+
+  if (command === "status") {
+    await sendText(transport, remoteJid, buildStatusMessage(user));
+    return;
+  }
+
+  if (command === "session") {
+    await sendText(
+      transport,
+      remoteJid,
+      [
+        user.codexSessionId
+          ? `Session "${user.currentSessionName}", tracked id:\n${user.codexSessionId}`
+          : `Session "${user.currentSessionName}": no tracked session id yet.`,
+        formatModelSettings(getCurrentSession(user)),
+      ].join("\n")
+    );
+    return;
+  }
+
+  if (command === "session-list" || command === "sessions") {
+    await sendText(transport, remoteJid, formatSessionList(user));
+    return;
+  }
+
+  if (command === "session-new" || command === "session-use") {
+    const name = normalizeSessionName(argText);
+    if (!name) {
+      await sendText(transport, remoteJid, `Usage: /${command} <name>`);
+      return;
+    }
+    try {
+      assertValidSessionName(name);
+    } catch (error) {
+      await sendText(transport, remoteJid, error.message);
+      return;
+    }
+    if (command === "session-new" && hasSession(user.sessions, name)) {
+      await sendText(transport, remoteJid, `Session already exists: ${name}. Use /session-use ${name}.`);
+      return;
+    }
+    if (command === "session-use" && !hasSession(user.sessions, name)) {
+      await sendText(transport, remoteJid, `Session not found: ${name}. Use /session-new ${name}.`);
+      return;
+    }
+    if (hasWorkInProgress(user)) {
+      await sendText(transport, remoteJid, "Cannot switch sessions while jobs are running/queued. Use /stop first.");
+      return;
+    }
+
+    if (command === "session-new") {
+      // A new session starts in the real checkout, not in another session's worktree.
+      user.sessions[name] = createSessionRecord(getCurrentSession(user).worktree?.sourceWorkdir || user.activeWorkdir);
+    }
+    await switchSession(user, name);
+    await sendText(
+      transport,
+      remoteJid,
+      [
+        command === "session-new" ? `Created and switched to session: ${name}` : `Switched to session: ${name}`,
+        `session_id: ${user.codexSessionId || "(new)"}`,
+        `workdir: ${user.activeWorkdir}`,
+      ].join("\n")
+    );
+    return;
+  }
+
+  if (command === "session-rm") {
+    const name = normalizeSessionName(argText);
+    if (!name) {
+      await sendText(transport, remoteJid, "Usage: /session-rm <name>");
+      return;
+    }
+    const session = findSession(user.sessions, name);
+    if (!session) {
+      await sendText(transport, remoteJid, `Session not found: ${name}`);
+      return;
+    }
+    if (name === user.currentSessionName) {
+      await sendText(transport, remoteJid, "Cannot remove the current session. Switch with /session-use first.");
+      return;
+    }
+    if (session.worktree) {
+      await sendText(
+        transport,
+        remoteJid,
+        `Session ${name} has worktree branch ${session.worktree.branch}. Switch to it and /merge or /discard first.`
+      );
+      return;
+    }
+    delete user.sessions[name];
+    await saveSessions(user);
+    await sendText(transport, remoteJid, `Session removed: ${name}`);
+    return;
+  }
+
+  if (command === "pwd") {
+    await sendText(transport, remoteJid, `Current workdir:\n${user.activeWorkdir}`);
+    return;
+  }
+
+  if (command === "cd") {
+    if (!argText) {
+      await sendText(transport, remoteJid, "Usage: /cd <path>");
+      return;
+    }
+
+    if (hasWorkInProgress(user)) {
+      await sendText(transport, remoteJid, "Cannot change workdir while jobs are running/queued. Use /stop first.");
+      return;
+    }
+    if (getCurrentSession(user).worktree) {
+      await sendText(transport, remoteJid, formatIsolatedWorkdirNotice(user));
+      return;
+    }
+
+    try {
+      const nextWorkdir = await resolveRequestedWorkdir(user, argText);
+      await applyWorkdirChange(transport, user, remoteJid, nextWorkdir, "Workdir updated.");
+    } catch (error) {
+      await sendText(transport, remoteJid, `Could not set workdir: ${error.message}`);
+    }
+    return;
+  }
+
+  if (command === "cd-reset") {
+    if (hasWorkInProgress(user)) {
+      await sendText(transport, remoteJid, "Cannot change workdir while jobs are running/queued. Use /stop first.");
+      return;
+    }
+    if (getCurrentSession(user).worktree) {
+      await sendText(transport, remoteJid, formatIsolatedWorkdirNotice(user));
+      return;
+    }
+
+    const defaultWorkdir = config.codexWorkdir;
+    await applyWorkdirChange(transport, user, remoteJid, defaultWorkdir, "Workdir reset to default.");
+    await resetWorkdirToDefault(user);
+    return;
+  }
+
+  if (command === "fav-list") {
+    await sendText(transport, remoteJid, formatFavoritesList());
+    return;
+  }
+
+  if (command === "fav-add") {
+    const parts = argText.match(/^(\S+)\s+(.+?)(?:\s+--mode\s+(\S+))?$/);
+    if (!parts) {
+      await sendText(transport, remoteJid, "Usage: /fav-add <name> <path> [--mode <mode>]");
+      return;
+    }
+
+    const name = normalizeFavoriteName(parts[1]);
+    const pathInput = parts[2];
+    const mode = parts[3] ? normalizeModeName(parts[3]) : null;
+    try {
+      assertValidFavoriteName(name);
+      if (mode) {
+        assertValidMode(mode);
+      }
+      const resolved = await resolveRequestedWorkdir(user, pathInput);
+      workdirFavorites[name] = { path: resolved, mode };
+      await saveFavorites();
+      await sendText(
+        transport,
+        remoteJid,
+        `Favorite saved: ${name}\n${resolved}${mode ? `\npinned mode: ${mode}` : ""}`
+      );
+    } catch (error) {
+      await sendText(transport, remoteJid, `Could not save favorite: ${error.message}`);
+    }
+    return;
+  }
+
+  if (command === "fav-rm") {
+    const name = normalizeFavoriteName(argText);
+    if (!name) {
+      await sendText(transport, remoteJid, "Usage: /fav-rm <name>");
+      return;
+    }
+    if (!workdirFavorites[name]) {
+      await sendText(transport, remoteJid, `Favorite not found: ${name}`);
+      return;
+    }
+    delete workdirFavorites[name];
+    await saveFavorites();
+    await sendText(transport, remoteJid, `Favorite removed: ${name}`);
+    return;
+  }
+
+  if (command === "fav") {
+    const name = normalizeFavoriteName(argText);
+    if (!name) {
+      await sendText(transport, remoteJid, "Usage: /fav <name>");
+      return;
+    }
+    if (!workdirFavorites[name]) {
+      await sendText(transport, remoteJid, `Favorite not found: ${name}`);
+      return;
+    }
+    if (hasWorkInProgress(user)) {
+      await sendText(transport, remoteJid, "Cannot change workdir while jobs are running/queued. Use /stop first.");
+      return;
+    }
+    if (getCurrentSession(user).worktree) {
+      await sendText(transport, remoteJid, formatIsolatedWorkdirNotice(user));
+      return;
+    }
+    try {
+      const favorite = workdirFavorites[name];
+      const resolved = await resolveRequestedWorkdir(user, favorite.path);
+      await applyWorkdirChange(transport, user, remoteJid, resolved, `Workdir changed to favorite: ${name}`);
+      if (favorite.mode) {
+        const change = await requestModeChange(user, favorite.mode);
+        await sendText(
+          transport,
+          remoteJid,
+          change.applied
+            ? `Mode: ${user.mode} (pinned by favorite).`
+            : formatModeConfirmPrompt(favorite.mode)
+        );
+      }
+    } catch (error) {
+      await sendText(transport, remoteJid, `Could not switch to favorite "${name}": ${error.message}`);
+    }
+    return;
+  }
+
+  if (command === "pc" || command === "openpc") {
+    try {
+      const result = await openInteractiveCodexWindow(user);
+      const lines = [
+        result.resumed
+          ? `Opened Codex terminal on PC (${result.mode}) and resumed session ${result.sessionId}.`
+          : `Opened Codex terminal on PC (${result.mode}).\nNo tracked session id found, trying latest session.`,
+        `workdir: ${result.workdir}`,
+      ];
+      if (result.attachHint) {
+        lines.push(result.attachHint);
+      }
+      await sendText(transport, remoteJid, lines.join("\n"));
+    } catch (error) {
+      await sendText(transport, remoteJid, `Could not open PC terminal: ${error.message}`);
+    }
+    return;
+  }
+
+  if (command === "inbox") {
+    const sub = argText.toLowerCase();
+    if (sub === "purge") {
+      if (!hasRole(user, "operator")) {
+        await sendText(transport, remoteJid, `/inbox purge requires role operator (you are ${user.role}).`);
+        return;
+      }
+      try {
+        const removed = await purgeInbox(user);
+        await sendText(transport, remoteJid, `Removed ${removed} file(s) from ${getInboxDir(user)}`);
+      } catch (error) {
+        await sendText(transport, remoteJid, `Could not purge inbox: ${error.message}`);
+      }
+      return;
+    }
+    if (sub) {
+      await sendText(transport, remoteJid, "Usage: /inbox or /inbox purge");
+      return;
+    }
+
+    const files = await listInboxFiles(user);
+    if (files.length === 0) {
+      await sendText(transport, remoteJid, `Inbox is empty:\n${getInboxDir(user)}`);
+      return;
+    }
+    const lines = [`Inbox (${files.length}): ${getInboxDir(user)}`];
+    for (const file of files) {
+      lines.push(`- ${file.name} (${formatBytes(file.size)})`);
+    }
+    await sendText(transport, remoteJid, lines.join("\n"));
+    return;
+  }
+
+  if (command === "get") {
+    if (!argText) {
+      await sendText(transport, remoteJid, "Usage: /get <relative path or glob>");
+      return;
+    }
+
+    let targets;
+    try {
+      targets = await expandGetTargets(user.activeWorkdir, unquoteWrapped(argText));
+    } catch (error) {
+      await sendText(transport, remoteJid, `Could not get file: ${error.message}`);
+      return;
+    }
+    if (targets.length === 0) {
+      await sendText(transport, remoteJid, `No files match: ${argText}`);
+      return;
+    }
+
+    const selected = targets.slice(0, config.maxGetFiles);
+    const failures = [];
+    for (const target of selected) {
+      try {
+        await sendWorkdirFile(transport, user, remoteJid, target);
+      } catch (error) {
+        failures.push(error.message);
+      }
+    }
+
+    const lines = [];
+    if (targets.length > selected.length) {
+      lines.push(`Sent ${selected.length - failures.length} of ${targets.length} matches (limit ${config.maxGetFiles}).`);
+    }
+    if (failures.length > 0) {
+      lines.push("Could not send:", ...failures.map((message) => `- ${message}`));
+    }
+    if (lines.length > 0) {
+      await sendText(transport, remoteJid, lines.join("\n"));
+    }
+    return;
+  }
 
+  if (command === "history") {
+    const count = argText ? Number.parseInt(argText, 10) : 10;
+    if (!Number.isFinite(count) || count <= 0) {
+      await sendText(transport, remoteJid, "Usage: /history [n]");
+      return;
+    }
+    const entries = (await readHistory())
+      .filter((entry) => canSeeUserRecord(user, entry))
+      .slice(-Math.min(count, 50))
+      .reverse();
+    if (entries.length === 0) {
+      await sendText(transport, remoteJid, "No job history yet.");
+      return;
+    }
     await sendText(
-      sock,
+      transport,
       remoteJid,
-      stopped
-        ? `Stopped active run. Cleared ${dropped} queued item(s).`
-        : "Could not stop active run cleanly."
+      [`Last ${entries.length} job(s):`, ...entries.map((entry) => formatHistoryLine(entry))].join("\n")
     );
     return;
   }
 
-  if (queue.length > 0) {
-    const dropped = queue.length;
-    queue.length = 0;
-    await sendText(sock, remoteJid, `Cleared ${dropped} queued item(s).`);
+  if (command === "show") {
+    if (!argText) {
+      await sendText(transport, remoteJid, "Usage: /show <job id>");
+      return;
+    }
+    const entry = await findHistoryEntry(argText);
+    if (!entry || !canSeeUserRecord(user, entry)) {
+      await sendText(transport, remoteJid, `Job not found in history: ${argText}`);
+      return;
+    }
+    const header = [
+      `#${shortId(entry.id)} ${entry.status} (exit_code: ${entry.exitCode ?? "-"}, ${entry.durationMs} ms)`,
+      `workdir: ${entry.workdir}`,
+      `prompt: ${entry.prompt}`,
+    ].join("\n");
+    const body = entry.output || entry.error || "(no output)";
+    await sendJobAnswer(transport, user, { id: entry.id, remoteJid }, header, body);
     return;
   }
 
-  await sendText(sock, remoteJid, "Nothing running.");
-}
-
-function hasWorkInProgress() {
-  return Boolean(activeJob) || queue.length > 0;
-}
+  if (command === "more") {
+    await sendNextAnswerPart(transport, user, remoteJid);
+    return;
+  }
 
-async function handleCommand(sock, remoteJid, rawText) {
-  const commandLine = rawText.slice(1).trim();
-  const firstSpace = commandLine.indexOf(" ");
-  const commandRaw = firstSpace === -1 ? commandLine : commandLine.slice(0, firstSpace);
-  const argText = firstSpace === -1 ? "" : commandLine.slice(firstSpace + 1).trim();
-  const command = String(commandRaw || "").toLowerCase();
+  if (command === "diff") {
+    await sendLastDiff(transport, user, remoteJid, unquoteWrapped(argText));
+    return;
+  }
 
-  if (command === "help") {
-    await sendText(
-      sock,
-      remoteJid,
-      [
-        "Gateway commands:",
-        "/help - quick command list",
-        "/guide - simple step-by-step guide",
-        "/status - queue and runtime status",
-        "/session - show tracked Codex session id",
-        "/pwd - show current Codex workdir",
-        "/cd <path> - change Codex workdir",
-        "/cd-reset - reset workdir to default from .env",
-        "/fav-list - list favorite workdirs",
-        "/fav-add <name> <path> - save favorite workdir",
-        "/fav-rm <name> - remove favorite workdir",
-        "/fav <name> - switch workdir to favorite",
-        "/pc - open Codex terminal on this PC (resume current session if available)",
-        "/stop - stop active run and clear queue",
-        "/new - reset Codex session context",
-        "",
-        "Any message without leading '/' is sent to Codex.",
-      ].join("\n")
-    );
+  if (command === "checkpoints") {
+    await sendText(transport, remoteJid, formatCheckpoints(user));
     return;
   }
 
-  if (command === "guide") {
-    await sendText(
-      sock,
-      remoteJid,
-      [
-        "Quick guide (non-tech):",
-        "1) Check status: /status",
-        "2) See current folder: /pwd",
-        "3) Change folder: /cd C:\\Users\\sflei\\Desktop\\SomeProject",
-        "4) Save folder as favorite: /fav-add proj C:\\Users\\sflei\\Desktop\\SomeProject",
-        "5) Switch to favorite later: /fav proj",
-        "6) Send normal text (without /) to run Codex in that folder.",
-        "",
-        "Useful commands:",
-        "- /pc : open Codex terminal on your PC (resumes current session when possible)",
-        "- /stop : stop running job + clear queue",
-        "- /new : reset chat context with Codex",
-        "- /cd-reset : go back to default folder from .env",
-        "- /fav-list : show all favorites",
-        "- /fav-rm <name> : delete one favorite",
-        "",
-        "Example workflow:",
-        "A) /fav proj",
-        "B) \"Please list all files in this folder.\"",
-        "C) \"Create a README for this project.\"",
-      ].join("\n")
-    );
+  if (command === "undo") {
+    await handleUndoCommand(transport, user, remoteJid, argText);
     return;
   }
 
-  if (command === "status") {
-    await sendText(sock, remoteJid, buildStatusMessage());
+  if (command === "branch") {
+    await handleBranchCommand(transport, user, remoteJid, argText);
     return;
   }
 
-  if (command === "session") {
-    await sendText(
-      sock,
-      remoteJid,
-      codexSessionId
-        ? `Tracked session id:\n${codexSessionId}`
-        : "No tracked session id yet."
-    );
+  if (command === "merge") {
+    await handleMergeCommand(transport, user, remoteJid);
     return;
   }
 
-  if (command === "pwd") {
-    await sendText(sock, remoteJid, `Current workdir:\n${activeWorkdir}`);
+  if (command === "discard") {
+    await handleDiscardCommand(transport, user, remoteJid);
     return;
   }
 
-  if (command === "cd") {
+  if (command === "mode") {
     if (!argText) {
-      await sendText(sock, remoteJid, "Usage: /cd <path>");
+      await sendText(
+        transport,
+        remoteJid,
+        `Current mode: ${user.mode}\nAvailable: ${Object.keys(codexModes).join(", ")}\nUsage: /mode <mode>`
+      );
       return;
     }
-
-    if (hasWorkInProgress()) {
-      await sendText(sock, remoteJid, "Cannot change workdir while jobs are running/queued. Use /stop first.");
+    const mode = normalizeModeName(argText);
+    try {
+      assertValidMode(mode);
+    } catch (error) {
+      await sendText(transport, remoteJid, error.message);
+      return;
+    }
+    const change = await requestModeChange(user, mode);
+    if (!change.applied) {
+      await sendText(transport, remoteJid, formatModeConfirmPrompt(mode));
       return;
     }
+    await sendText(
+      transport,
+      remoteJid,
+      change.unchanged ? `Mode unchanged: ${user.mode}` : `Mode set to ${user.mode} for the next jobs.`
+    );
+    return;
+  }
 
+  if (command === "model" || command === "effort") {
+    const session = getCurrentSession(user);
+    const key = command;
+    if (!argText) {
+      await sendText(
+        transport,
+        remoteJid,
+        `${formatModelSettings(session)}\nUsage: /${key} <${key === "model" ? "name" : reasoningEfforts.join("|")}> or /${key} default`
+      );
+      return;
+    }
     try {
-      const nextWorkdir = await resolveRequestedWorkdir(argText);
-      await applyWorkdirChange(sock, remoteJid, nextWorkdir, "Workdir updated.");
+      const value = argText.toLowerCase() === "default"
+        ? null
+        : key === "model" ? parseModelArg(argText) : parseEffortArg(argText);
+      session[key] = value;
+      session.updatedAt = Date.now();
+      await saveSessions(user);
+      await sendText(
+        transport,
+        remoteJid,
+        `Session "${user.currentSessionName}" ${formatModelSettings(session)}`
+      );
     } catch (error) {
-      await sendText(sock, remoteJid, `Could not set workdir: ${error.message}`);
+      await sendText(transport, remoteJid, error.message);
     }
     return;
   }
 
-  if (command === "cd-reset") {
-    if (hasWorkInProgress()) {
-      await sendText(sock, remoteJid, "Cannot change workdir while jobs are running/queued. Use /stop first.");
+  if (command === "confirm") {
+    const pending = user.pendingMode;
+    if (!pending || pending.expiresAt < Date.now()) {
+      user.pendingMode = null;
+      await sendText(transport, remoteJid, "Nothing to confirm.");
       return;
     }
-
-    const defaultWorkdir = config.codexWorkdir;
-    await applyWorkdirChange(sock, remoteJid, defaultWorkdir, "Workdir reset to default.");
-    await resetWorkdirToDefault();
+    await setUserMode(user, pending.mode);
+    logger.warn({ user: maskNumber(user.number), mode: user.mode }, "dangerous codex mode confirmed");
+    await sendText(transport, remoteJid, `Mode set to ${user.mode} for the next jobs.`);
     return;
   }
 
-  if (command === "fav-list") {
-    await sendText(sock, remoteJid, formatFavoritesList());
+  if (command === "stop") {
+    await handleStopCommand(transport, user, remoteJid);
     return;
   }
 
-  if (command === "fav-add") {
-    const parts = argText.match(/^(\S+)\s+(.+)$/);
-    if (!parts) {
-      await sendText(sock, remoteJid, "Usage: /fav-add <name> <path>");
+  if (command === "schedule") {
+    if (schedules.filter((item) => item.userNumber === user.number).length >= config.maxSchedules) {
+      await sendText(transport, remoteJid, `Schedule limit reached (${config.maxSchedules}). Remove one with /schedule-rm.`);
       return;
     }
-
-    const name = normalizeFavoriteName(parts[1]);
-    const pathInput = parts[2];
     try {
-      assertValidFavoriteName(name);
-      const resolved = await resolveRequestedWorkdir(pathInput);
-      workdirFavorites[name] = resolved;
-      await saveFavorites();
-      await sendText(sock, remoteJid, `Favorite saved: ${name}\n${resolved}`);
+      const request = await parseScheduleRequest(user, argText);
+      const schedule = {
+        id: nextScheduleId(),
+        userNumber: user.number,
+        remoteJid,
+        ...request,
+        createdAt: Date.now(),
+        lastRunAt: null,
+      };
+      schedules.push(schedule);
+      await saveSchedules();
+      await sendText(transport, remoteJid, `Scheduled:\n${formatScheduleLine(schedule)}`);
     } catch (error) {
-      await sendText(sock, remoteJid, `Could not save favorite: ${error.message}`);
+      await sendText(transport, remoteJid, `Could not schedule: ${error.message}`);
     }
     return;
   }
 
-  if (command === "fav-rm") {
-    const name = normalizeFavoriteName(argText);
-    if (!name) {
-      await sendText(sock, remoteJid, "Usage: /fav-rm <name>");
-      return;
-    }
-    if (!workdirFavorites[name]) {
-      await sendText(sock, remoteJid, `Favorite not found: ${name}`);
+  if (command === "schedule-list") {
+    const visible = schedules.filter((item) => canSeeUserRecord(user, item));
+    await sendText(
+      transport,
+      remoteJid,
+      visible.length === 0
+        ? "No schedules. Use /schedule to add one."
+        : ["Schedules:", ...visible.map((item) => formatScheduleLine(item))].join("\n")
+    );
+    return;
+  }
+
+  if (command === "schedule-rm") {
+    const schedule = schedules.find((item) => item.id === argText.replace(/^#/, ""));
+    if (!schedule || !canSeeUserRecord(user, schedule)) {
+      await sendText(transport, remoteJid, `Schedule not found: ${argText || "(missing id)"}`);
       return;
     }
-    delete workdirFavorites[name];
-    await saveFavorites();
-    await sendText(sock, remoteJid, `Favorite removed: ${name}`);
+    schedules = schedules.filter((item) => item !== schedule);
+    await saveSchedules();
+    await sendText(transport, remoteJid, `Removed schedule ${schedule.id}.`);
     return;
   }
 
-  if (command === "fav") {
-    const name = normalizeFavoriteName(argText);
-    if (!name) {
-      await sendText(sock, remoteJid, "Usage: /fav <name>");
+  if (command === "queue") {
+    await sendText(transport, remoteJid, formatQueue(user));
+    return;
+  }
+
+  if (command === "cancel") {
+    if (!argText) {
+      await sendText(transport, remoteJid, "Usage: /cancel <job id>");
       return;
     }
-    if (!workdirFavorites[name]) {
-      await sendText(sock, remoteJid, `Favorite not found: ${name}`);
+    await handleCancelCommand(transport, user, remoteJid, argText);
+    return;
+  }
+
+  if (command === "bump") {
+    if (!argText) {
+      await sendText(transport, remoteJid, "Usage: /bump <job id>");
       return;
     }
-    if (hasWorkInProgress()) {
-      await sendText(sock, remoteJid, "Cannot change workdir while jobs are running/queued. Use /stop first.");
+    const index = queue.findIndex((job) => matchesJobId(job, argText));
+    if (index === -1) {
+      await sendText(transport, remoteJid, `Job not in queue: ${argText}`);
       return;
     }
-    try {
-      const resolved = await resolveRequestedWorkdir(workdirFavorites[name]);
-      await applyWorkdirChange(sock, remoteJid, resolved, `Workdir changed to favorite: ${name}`);
-    } catch (error) {
-      await sendText(sock, remoteJid, `Could not switch to favorite "${name}": ${error.message}`);
-    }
+    const [job] = queue.splice(index, 1);
+    queue.unshift(job);
+    await persistQueue();
+    await sendText(transport, remoteJid, `Moved #${shortId(job.id)} to the front of the queue.`);
     return;
   }
 
-  if (command === "pc" || command === "openpc") {
-    try {
-      const result = await openInteractiveCodexWindow();
-      await sendText(
-        sock,
-        remoteJid,
-        result.resumed
-          ? `Opened Codex terminal on PC and resumed session ${result.sessionId}.\nworkdir: ${result.workdir}`
-          : `Opened Codex terminal on PC.\nNo tracked session id found, trying latest session in:\n${result.workdir}`
-      );
-    } catch (error) {
-      await sendText(sock, remoteJid, `Could not open PC terminal: ${error.message}`);
+  if (command === "pause") {
+    if (queuePaused) {
+      await sendText(transport, remoteJid, "Queue is already paused.");
+      return;
     }
+    queuePaused = true;
+    await persistQueue();
+    await sendText(
+      transport,
+      remoteJid,
+      `Queue paused with ${queue.length} pending job(s).${activeJob ? " The running job will finish." : ""} Use /resume to continue.`
+    );
     return;
   }
 
-  if (command === "stop") {
-    await handleStopCommand(sock, remoteJid);
+  if (command === "resume") {
+    if (!queuePaused) {
+      await sendText(transport, remoteJid, "Queue is not paused.");
+      return;
+    }
+    queuePaused = false;
+    await persistQueue();
+    await sendText(transport, remoteJid, `Queue resumed with ${queue.length} pending job(s).`);
+    void processQueue(transport);
     return;
   }
 
   if (command === "new") {
-    const dropped = queue.length;
-    queue.length = 0;
-    await clearSessionId();
+    const dropped = await clearQueue(user.number);
+    await clearSessionId(user);
     await sendText(
-      sock,
+      transport,
       remoteJid,
       `Started a fresh Codex session context. Cleared ${dropped} queued item(s).`
     );
     return;
   }
 
-  await sendText(sock, remoteJid, "Unknown command. Use /help.");
+  await sendText(transport, remoteJid, "Unknown command. Use /help.");
 }
 
-async function handleIncomingText(sock, msg) {
-  if (!msg?.key) return;
-  const jidInfo = extractIncomingJidInfo(msg.key);
-  if (!jidInfo.replyJid) return;
-
-  if (wasSentByGateway(msg.key.id)) {
+async function handleIncomingDocument(transport, user, message, remoteJid, caption) {
+  if (caption && queue.length >= config.maxQueue) {
+    await sendText(transport, remoteJid, `Queue full (${config.maxQueue}). Use /stop or wait.`);
     return;
   }
 
-  // Direct chat only.
-  if (!jidInfo.hasDirectChatJid) return;
-
-  if (!jidInfo.matchesAllowedNumber) {
-    logger.warn({ jids: jidInfo.all }, "blocked message from unauthorized number");
+  let saved;
+  try {
+    saved = await saveDocumentToInbox(user, message.document);
+  } catch (error) {
+    logger.warn({ err: error }, "failed to save document");
+    await sendText(transport, remoteJid, `Could not save file: ${error.message}`);
     return;
   }
 
-  const remoteJid = jidInfo.replyJid;
-  const rawText = normalizeText(extractTextFromMessage(msg));
-  if (!rawText) return;
-
-  if (rawText.startsWith("/")) {
-    await handleCommand(sock, remoteJid, rawText);
-    return;
-  }
+  const relativePath = path.relative(user.activeWorkdir, saved.filePath);
+  logger.info({ filePath: saved.filePath, size: saved.size }, "saved inbound document");
 
-  if (queue.length >= config.maxQueue) {
-    await sendText(sock, remoteJid, `Queue full (${config.maxQueue}). Use /stop or wait.`);
+  if (!caption) {
+    await sendText(
+      transport,
+      remoteJid,
+      `Saved ${relativePath} (${formatBytes(saved.size)}).\nSend a message to tell Codex what to do with it.`
+    );
     return;
   }
 
-  const job = createJob(remoteJid, rawText);
-  queue.push(job);
+  const prompt = [
+    `The user sent a file via WhatsApp. It was saved at: ${relativePath}`,
+    "",
+    caption,
+  ].join("\n");
+  const job = createJob(user, remoteJid, prompt, { replyTo: message.isGroup ? message.replyTo : null });
+  enqueueJob(job);
   await sendText(
-    sock,
+    transport,
     remoteJid,
-    `Queued #${shortId(job.id)} (position ${queue.length}).`
+    `Saved ${relativePath} (${formatBytes(saved.size)}).\nQueued #${shortId(job.id)} (position ${queue.length}).`
   );
-  void processQueue(sock);
+  void processQueue(transport);
 }
 
-function shouldReconnect(lastDisconnectError) {
-  const reason = String(lastDisconnectError?.message || "").toLowerCase();
-  if (reason.includes("conflict") || reason.includes("replaced")) {
-    return false;
+async function handleIncomingMessage(transport, message) {
+  if (message.isGroup) {
+    // Groups only when explicitly allowed.
+    if (!config.allowedGroupJids.includes(message.chatId)) {
+      logger.debug({ groupJid: message.chatId }, "ignored message from group not in ALLOWED_GROUP_JIDS_JSON");
+      return;
+    }
   }
-  const statusCode = lastDisconnectError?.output?.statusCode;
-  return statusCode !== DisconnectReason.loggedOut;
-}
 
-async function connect() {
-  if (isShuttingDown) return;
-  if (connectInProgress) {
-    logger.debug("connect already in progress, skipping");
+  const user = findUserByJids(message.senderIds);
+  if (!user) {
+    logger.warn({ jids: message.senderIds }, "blocked message from unauthorized number");
     return;
   }
-  connectInProgress = true;
-  const epoch = ++connectionEpoch;
-  try {
-    await ensureDirs();
-
-    const { state, saveCreds } = await useMultiFileAuthState(config.authDir);
-    const { version } = await fetchLatestBaileysVersion();
-
-    logger.info({ version }, "starting WhatsApp socket");
-
-    if (sockRef) {
-      try {
-        sockRef.ev.removeAllListeners("connection.update");
-        sockRef.ev.removeAllListeners("messages.upsert");
-        sockRef.ev.removeAllListeners("creds.update");
-        sockRef.ws?.close();
-      } catch {
-        // ignore teardown errors
-      }
-    }
-
-    const sock = makeWASocket({
-      auth: state,
-      version,
-      printQRInTerminal: false,
-      markOnlineOnConnect: false,
-      browser: ["OpenClaw-Style-Gateway", "Windows", "1.0.0"],
-      syncFullHistory: false,
-      logger: pino({ level: "error" }),
-    });
-    sockRef = sock;
-
-    sock.ev.on("creds.update", saveCreds);
-
-    sock.ev.on("connection.update", (update) => {
-      if (epoch !== connectionEpoch || sock !== sockRef) {
-        return;
-      }
 
-      const { connection, lastDisconnect, qr } = update;
+  let rawText = normalizeText(message.text);
+  if (message.isGroup) {
+    const triggered = extractGroupTriggeredText(message, rawText);
+    if (triggered === null) return;
+    rawText = triggered;
+    // Every reply below quotes the triggering message to keep the group thread readable.
+    transport = withReplyTo(transport, message.replyTo);
+  }
 
-      if (qr) {
-        logger.info("scan this QR code with WhatsApp linked devices");
-        qrcode.generate(qr, { small: true });
-      }
+  const remoteJid = message.chatId;
+  const imageMessage = message.image;
+  const documentMessage = message.document;
+  if (!rawText && !imageMessage && !documentMessage) return;
 
-      if (connection === "open") {
-        logger.info("WhatsApp gateway connected");
-        return;
-      }
+  if (rawText.startsWith("/") && !documentMessage) {
+    await handleCommand(transport, user, remoteJid, rawText);
+    return;
+  }
 
-    if (connection === "close") {
-      if (sock === sockRef) {
-        sockRef = null;
-      }
+  if (!hasRole(user, "operator")) {
+    await sendText(transport, remoteJid, `Prompts and uploads require role operator (you are ${user.role}).`);
+    return;
+  }
 
-      const reasonText = String(lastDisconnect?.error?.message || "");
-      const reconnect = shouldReconnect(lastDisconnect?.error);
-      logger.warn(
-        {
-          reconnect,
-          reason: reasonText,
-        },
-        "WhatsApp connection closed"
-      );
+  if (documentMessage) {
+    await handleIncomingDocument(transport, user, message, remoteJid, rawText);
+    return;
+  }
 
-      if (!reconnect && /conflict|replaced/i.test(reasonText)) {
-        logger.error(
-          "Conflict detected: another client is replacing this session. Stop other gateway instances, clear session, then re-link."
-        );
-      }
+  if (queue.length >= config.maxQueue) {
+    await sendText(transport, remoteJid, `Queue full (${config.maxQueue}). Use /stop or wait.`);
+    return;
+  }
 
-      if (!reconnect || isShuttingDown) {
-        return;
-      }
+  let inline;
+  try {
+    inline = parseInlineOverrides(rawText);
+  } catch (error) {
+    await sendText(transport, remoteJid, error.message);
+    return;
+  }
+  if (!inline.prompt && !imageMessage) {
+    await sendText(transport, remoteJid, "Missing prompt after the [model=... effort=...] override.");
+    return;
+  }
 
-      scheduleReconnect(reasonText || "socket_closed");
+  const images = [];
+  if (imageMessage) {
+    try {
+      images.push(await downloadImageAttachment(message));
+    } catch (error) {
+      logger.warn({ err: error }, "failed to download image attachment");
+      await sendText(transport, remoteJid, `Could not download image: ${error.message}`);
+      return;
     }
-  });
-
-    sock.ev.on("messages.upsert", async (event) => {
-      if (epoch !== connectionEpoch || sock !== sockRef) {
-        return;
-      }
-
-      if (event.type !== "notify") return;
-      if (config.logRawEvents) {
-        logger.debug({ event }, "raw messages.upsert event");
-      }
-
-      for (const message of event.messages) {
-        try {
-          await handleIncomingText(sock, message);
-        } catch (error) {
-          logger.error({ err: error }, "failed to process incoming message");
-        }
-      }
-    });
-  } catch (error) {
-    logger.error({ err: error }, "connect attempt failed");
-    scheduleReconnect(error?.message || "connect_error");
-  } finally {
-    connectInProgress = false;
   }
+
+  const prompt = inline.prompt || "Describe the attached image.";
+  const job = createJob(user, remoteJid, prompt, {
+    images,
+    replyTo: message.isGroup ? message.replyTo : null,
+    overrides: inline.overrides,
+  });
+  enqueueJob(job);
+  await sendText(
+    transport,
+    remoteJid,
+    `Queued #${shortId(job.id)} (position ${queue.length})${images.length > 0 ? " with image" : ""}.`
+  );
+  void processQueue(transport);
 }
 
-async function shutdown(signal) {
+export async function shutdown(signal) {
   if (isShuttingDown) return;
   isShuttingDown = true;
 
   logger.info({ signal }, "shutting down gateway");
 
-  if (reconnectTimer) {
-    clearTimeout(reconnectTimer);
-    reconnectTimer = null;
+  if (scheduleTimer) {
+    clearInterval(scheduleTimer);
+    scheduleTimer = null;
   }
+  httpApiServer?.close();
 
-  queue.length = 0;
+  // Keep the queue and the interrupted job on disk so the next boot can pick them up.
+  await persistQueue();
+  queuePersistFrozen = true;
 
   if (activeJob?.child?.pid) {
-    await killProcessTree(activeJob.child.pid);
+    const pid = activeJob.child.pid;
+    activeJob.manuallyStopped = true;
+    const stopped = await killProcessTree(pid);
+    if (!stopped) {
+      logger.error({ pid }, "could not kill active codex process tree on shutdown");
+    }
   }
 
   try {
-    sockRef?.ws?.close();
+    await activeTransport?.stop();
   } catch {
     // ignore close errors
   }
 
   await releaseProcessLock();
 
+  if (!ownsProcess) return;
   process.exit(0);
 }
 
-process.on("SIGINT", () => {
-  void shutdown("SIGINT");
-});
+function isQueueIdle() {
+  return !queueRunning && !activeJob && queue.length === 0;
+}
+
+// Piped console input: let queued jobs finish, then exit.
+async function shutdownWhenIdle(reason) {
+  while (!isQueueIdle() && !isShuttingDown && !queuePaused) {
+    await new Promise((resolve) => setTimeout(resolve, 500));
+  }
+  await shutdown(reason);
+}
+
+function onTransportReady(transport) {
+  void announceRestoredJobs(transport);
+  void flushScheduleNotices(transport);
+}
+
+/**
+ * Boots the gateway on a transport (see src/transport.js). Without one, the
+ * transport named by TRANSPORT is created and the gateway handles SIGINT/SIGTERM
+ * and exits on shutdown; with one it leaves both to the caller (tests, embedding).
+ */
+export async function startGateway({ transport = null } = {}) {
+  ownsProcess = !transport;
+  if (ownsProcess) {
+    process.on("SIGINT", () => {
+      void shutdown("SIGINT");
+    });
+
+    process.on("SIGTERM", () => {
+      void shutdown("SIGTERM");
+    });
+  }
+
+  logger.info("Codex via WhatsApp gateway booting");
+  logger.info(formatConfigSummary(config));
 
-process.on("SIGTERM", () => {
-  void shutdown("SIGTERM");
-});
+  await ensureDirs();
+  // Before taking the lock, so a bad setting does not leave a stale lock behind.
+  await loadWorkdirRoots();
+  await acquireProcessLock();
+  for (const user of users.values()) {
+    await loadSessions(user);
+  }
+  await loadStoredFavorites();
+  await clearStaleMedia(await restorePersistedQueue());
+  await pruneHistory();
+  await loadCheckpoints();
+  await pruneCheckpoints();
+  await loadSchedules();
+  await runDueSchedules();
+  startScheduler();
+  if (config.httpApi) {
+    httpApiServer = startGatewayHttpApi();
+  }
+  logger.info({ workdir: getPrimaryUser().activeWorkdir, users: users.size }, "using codex workdir");
 
-logger.info("Codex via WhatsApp gateway booting");
-logger.info(formatConfigSummary(config));
+  activeTransport = transport || await createTransport(config.transport, {
+    config,
+    logger,
+    user: getPrimaryUser(),
+    downloadDir: path.join(config.runtimeDir, "console-downloads"),
+  });
+  await activeTransport.start({
+    onMessage: (message) => handleIncomingMessage(activeTransport, message),
+    onReady: () => onTransportReady(activeTransport),
+    onEnd: () => shutdownWhenIdle("input closed"),
+  });
+  return activeTransport;
+}
 
-await ensureDirs();
-await acquireProcessLock();
-await loadStoredSessionId();
-await loadStoredWorkdir();
-await loadStoredFavorites();
-logger.info({ activeWorkdir }, "using codex workdir");
-void connect();
+if (path.resolve(process.argv[1] || "") === fileURLToPath(import.meta.url)) {
+  await startGateway();
+}
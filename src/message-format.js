@@ -0,0 +1,206 @@
+// Markdown -> WhatsApp text, and chunking that keeps code fences intact.
+//
+// WhatsApp knows *bold*, _italic_, ~strike~, `inline code`, ```monospace```
+// blocks and "> " quotes; everything else Codex writes (headings, **bold**,
+// links, tables) is rewritten into something that reads well on a phone.
+
+const FENCE = /^\s*```/;
+const BOLD_MARK = "\u0001";
+// Room for a reopened fence line ("```typescript\n") plus the closing "\n```".
+const FENCE_OVERHEAD = 24;
+
+function formatInlineText(text) {
+  return text
+    .replace(/!\[([^\]]*)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g, (full, alt, url) => (alt ? `${alt} (${url})` : url))
+    .replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g, (full, label, url) => (label === url ? url : `${label} (${url})`))
+    .replace(/<((?:https?|mailto):[^>\s]+)>/g, "$1")
+    .replace(/\*\*(?=\S)(.+?)(?<=\S)\*\*/g, `${BOLD_MARK}$1${BOLD_MARK}`)
+    .replace(/__(?=\S)(.+?)(?<=\S)__/g, `${BOLD_MARK}$1${BOLD_MARK}`)
+    .replace(/(?<![\w*])\*(?=\S)([^*\n]+?)(?<=\S)\*(?![\w*])/g, "_$1_")
+    .replace(/~~(?=\S)(.+?)(?<=\S)~~/g, "~$1~")
+    .replaceAll(BOLD_MARK, "*");
+}
+
+// Inline code spans are left alone; WhatsApp renders them as-is.
+function formatInline(text) {
+  return text
+    .split(/(`[^`\n]+`)/)
+    .map((part, index) => (index % 2 === 1 ? part : formatInlineText(part)))
+    .join("");
+}
+
+function stripInline(text) {
+  return formatInline(text).replace(/[*_~`]/g, "");
+}
+
+function formatLine(line) {
+  const heading = line.match(/^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/);
+  if (heading) {
+    return heading[1] ? `*${stripInline(heading[1])}*` : "";
+  }
+  if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+    return "──────────";
+  }
+  const bullet = line.match(/^(\s*)[-*+]\s+(?:\[([ xX])\]\s+)?(.*)$/);
+  if (bullet) {
+    const marker = bullet[2] === undefined ? "•" : bullet[2] === " " ? "☐" : "☑";
+    return `${bullet[1]}${marker} ${formatInline(bullet[3])}`;
+  }
+  return formatInline(line);
+}
+
+function splitTableRow(line) {
+  return line
+    .trim()
+    .replace(/^\|/, "")
+    .replace(/\|$/, "")
+    .split(/(?<!\\)\|/)
+    .map((cell) => stripInline(cell.trim().replace(/\\\|/g, "|")));
+}
+
+function isTableSeparator(line) {
+  return /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(line);
+}
+
+// Tables become an aligned monospace block.
+function renderTable(lines) {
+  const rows = lines.filter((line) => !isTableSeparator(line)).map(splitTableRow);
+  const columns = Math.max(...rows.map((row) => row.length));
+  const widths = Array.from({ length: columns }, (_, column) =>
+    Math.max(...rows.map((row) => (row[column] || "").length))
+  );
+  const rendered = rows.map((row) =>
+    widths.map((width, column) => (row[column] || "").padEnd(width)).join(" | ").trimEnd()
+  );
+  return ["```", ...rendered, "```"];
+}
+
+export function formatWhatsAppMarkdown(text) {
+  const lines = String(text ?? "").split("\n");
+  const out = [];
+  let inFence = false;
+
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = lines[i];
+    if (FENCE.test(line)) {
+      // WhatsApp shows a language tag as text, so it is dropped.
+      inFence = !inFence;
+      out.push("```");
+      continue;
+    }
+    if (inFence) {
+      out.push(line);
+      continue;
+    }
+
+    if (/^\s*\|.*\|\s*$/.test(line) && isTableSeparator(lines[i + 1] || "")) {
+      let end = i + 2;
+      while (end < lines.length && /^\s*\|.*\|\s*$/.test(lines[end])) {
+        end += 1;
+      }
+      out.push(...renderTable(lines.slice(i, end)));
+      i = end - 1;
+      continue;
+    }
+
+    out.push(formatLine(line));
+  }
+
+  return out.join("\n");
+}
+
+function splitLines(text, maxSize) {
+  const chunks = [];
+  const lines = text.split("\n");
+  let current = "";
+
+  const flush = () => {
+    if (current) {
+      chunks.push(current);
+      current = "";
+    }
+  };
+
+  for (const line of lines) {
+    if (line.length > maxSize) {
+      flush();
+      for (let i = 0; i < line.length; i += maxSize) {
+        chunks.push(line.slice(i, i + maxSize));
+      }
+      continue;
+    }
+
+    if (!current) {
+      current = line;
+      continue;
+    }
+
+    if (current.length + line.length + 1 > maxSize) {
+      flush();
+      current = line;
+      continue;
+    }
+
+    current += `\n${line}`;
+  }
+
+  flush();
+  return chunks;
+}
+
+// Returns the fence line still open after `text`, given the one open before it.
+function trackFence(text, openFence) {
+  let open = openFence;
+  for (const line of text.split("\n")) {
+    if (FENCE.test(line)) {
+      open = open ? null : line.trim();
+    }
+  }
+  return open;
+}
+
+/**
+ * Splits on line boundaries into chunks of at most `maxSize` chars. A chunk
+ * that ends inside a code fence is closed, and the next one reopens it.
+ */
+export function splitChunks(text, maxSize) {
+  if (!text) return [];
+  if (text.length <= maxSize) return [text];
+
+  const hasFences = text.includes("```");
+  const raw = splitLines(text, hasFences ? Math.max(1, maxSize - FENCE_OVERHEAD) : maxSize);
+  if (!hasFences) return raw;
+
+  let openFence = null;
+  return raw.map((chunk) => {
+    const prefix = openFence ? `${openFence}\n` : "";
+    openFence = trackFence(chunk, openFence);
+    const lines = chunk.split("\n");
+    if (openFence && lines.length > 1 && FENCE.test(lines.at(-1))) {
+      // A fence opened on the last line moves to the next chunk instead of leaving an empty block.
+      return `${prefix}${lines.slice(0, -1).join("\n")}`;
+    }
+    return `${prefix}${chunk}${openFence ? "\n```" : ""}`;
+  });
+}
+
+/**
+ * Cuts `text` after at most `maxSize` chars (on a line boundary) into a
+ * fence-balanced `head` and the `rest`, which reopens a fence cut in half.
+ */
+export function splitHead(text, maxSize) {
+  const budget = text.includes("```") ? Math.max(1, maxSize - FENCE_OVERHEAD) : maxSize;
+  const [first = ""] = splitLines(text, budget);
+  const rest = text.slice(first.length).replace(/^\n/, "");
+  const openFence = trackFence(first, null);
+  if (!openFence) {
+    return { head: first, rest };
+  }
+  return { head: `${first}\n\`\`\``, rest: rest ? `${openFence}\n${rest}` : "" };
+}
+
+// "(1/3)" labels on multi-part messages; single messages stay unlabeled.
+export function numberChunks(chunks) {
+  if (chunks.length <= 1) return chunks;
+  return chunks.map((chunk, index) => `(${index + 1}/${chunks.length})\n${chunk}`);
+}
@@ -0,0 +1,175 @@
+// Cron expressions and one-shot "at" times for /schedule. All times are local.
+
+const MONTH_NAMES = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const CRON_MACROS = {
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+  "@monthly": "0 0 1 * *",
+  "@weekly": "0 0 * * 0",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@hourly": "0 * * * *",
+};
+
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: "day of week", min: 0, max: 7, names: DAY_NAMES, offset: 0 },
+];
+
+// Enough to cover leap days and rare dom/month combinations.
+const MAX_CRON_STEPS = 200000;
+
+function parseCronValue(raw, field) {
+  const lower = raw.toLowerCase();
+  const nameIndex = field.names ? field.names.indexOf(lower) : -1;
+  const value = nameIndex !== -1 ? nameIndex + field.offset : Number(lower);
+  if (!/^\d+$/.test(lower) && nameIndex === -1) {
+    throw new Error(`Invalid ${field.name} value: ${raw}`);
+  }
+  if (!Number.isInteger(value) || value < field.min || value > field.max) {
+    throw new Error(`${field.name} out of range (${field.min}-${field.max}): ${raw}`);
+  }
+  return value;
+}
+
+function parseCronField(raw, field) {
+  const values = new Set();
+  for (const part of raw.split(",")) {
+    const [rangeText, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step <= 0) {
+      throw new Error(`Invalid step in ${field.name}: ${part}`);
+    }
+
+    let start;
+    let end;
+    if (rangeText === "*") {
+      start = field.min;
+      end = field.max;
+    } else if (rangeText.includes("-")) {
+      const [from, to] = rangeText.split("-");
+      start = parseCronValue(from, field);
+      end = parseCronValue(to, field);
+      if (end < start) {
+        throw new Error(`Invalid range in ${field.name}: ${part}`);
+      }
+    } else {
+      start = parseCronValue(rangeText, field);
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+/**
+ * Parses a 5-field cron expression (minute hour day-of-month month day-of-week)
+ * or one of the @daily/@hourly/... macros.
+ */
+export function parseCron(expression) {
+  const source = String(expression || "").trim();
+  const expanded = CRON_MACROS[source.toLowerCase()] || source;
+  const parts = expanded.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron needs 5 fields (minute hour day month weekday), got: ${source || "(empty)"}`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) =>
+    parseCronField(part, CRON_FIELDS[index])
+  );
+  // 7 is an alias for Sunday.
+  if (weekdays.delete(7)) {
+    weekdays.add(0);
+  }
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2] === "*",
+    anyWeekday: parts[4] === "*",
+  };
+}
+
+function matchesCronDay(cron, date) {
+  const dayMatch = cron.days.has(date.getDate());
+  const weekdayMatch = cron.weekdays.has(date.getDay());
+  // Classic cron: when both fields are restricted, either one may match.
+  if (cron.anyDay) return weekdayMatch;
+  if (cron.anyWeekday) return dayMatch;
+  return dayMatch || weekdayMatch;
+}
+
+/**
+ * Returns the first time (ms) strictly after `afterMs` that matches the cron.
+ */
+export function nextCronRun(cron, afterMs) {
+  const date = new Date(afterMs);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  for (let steps = 0; steps < MAX_CRON_STEPS; steps += 1) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!matchesCronDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date.getTime();
+    }
+  }
+  throw new Error("Cron expression never matches");
+}
+
+/**
+ * Parses a one-shot time: "+30m" / "+2h" / "+1d", "HH:MM" (next occurrence),
+ * or "YYYY-MM-DD HH:MM".
+ */
+export function parseAtTime(text, nowMs) {
+  const value = String(text || "").trim();
+
+  const relative = value.match(/^\+(\d+)\s*([mhd])$/i);
+  if (relative) {
+    const unitMs = { m: 60_000, h: 3_600_000, d: 86_400_000 }[relative[2].toLowerCase()];
+    return nowMs + Number(relative[1]) * unitMs;
+  }
+
+  const clock = value.match(/^(\d{1,2}):(\d{2})$/);
+  if (clock) {
+    const date = new Date(nowMs);
+    date.setHours(Number(clock[1]), Number(clock[2]), 0, 0);
+    if (Number(clock[1]) > 23 || Number(clock[2]) > 59) {
+      throw new Error(`Invalid time: ${value}`);
+    }
+    if (date.getTime() <= nowMs) {
+      date.setDate(date.getDate() + 1);
+    }
+    return date.getTime();
+  }
+
+  const full = value.match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{1,2}):(\d{2})$/);
+  if (full) {
+    const [, year, month, day, hour, minute] = full.map(Number);
+    const date = new Date(year, month - 1, day, hour, minute, 0, 0);
+    if (date.getMonth() !== month - 1 || date.getDate() !== day || hour > 23 || minute > 59) {
+      throw new Error(`Invalid date: ${value}`);
+    }
+    return date.getTime();
+  }
+
+  throw new Error(`Invalid time "${value}". Use +30m, +2h, HH:MM or YYYY-MM-DD HH:MM.`);
+}
@@ -0,0 +1,27 @@
+// Per-user named sessions are stored as a plain name -> record object, so
+// every lookup goes through Object.hasOwn: names like "constructor" must not
+// resolve to Object.prototype members.
+
+const SESSION_NAME_PATTERN = /^[a-z0-9][a-z0-9._-]{0,31}$/;
+
+export function normalizeSessionName(name) {
+  return String(name || "").trim().toLowerCase();
+}
+
+export function isValidSessionName(name) {
+  return SESSION_NAME_PATTERN.test(name);
+}
+
+export function assertValidSessionName(name) {
+  if (!isValidSessionName(name)) {
+    throw new Error("Session name must match [a-z0-9._-], max 32 chars.");
+  }
+}
+
+export function hasSession(sessions, name) {
+  return Boolean(sessions) && typeof name === "string" && Object.hasOwn(sessions, name);
+}
+
+export function findSession(sessions, name) {
+  return hasSession(sessions, name) ? sessions[name] : null;
+}
@@ -0,0 +1,73 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import readline from "node:readline";
+
+/**
+ * Terminal transport: every stdin line is a message from `user`, replies are
+ * printed to stdout. Documents are written to `downloadDir` instead.
+ * When stdin ends (e.g. piped input), `handlers.onEnd` is called.
+ */
+export function createConsoleTransport({ user, downloadDir, input = process.stdin, output = process.stdout }) {
+  let lineReader = null;
+  let ready = false;
+  let sequence = 0;
+  // Lines are handled one at a time so piped scripts keep their order.
+  let pending = Promise.resolve();
+
+  function print(prefix, text) {
+    const lines = String(text).split("\n");
+    output.write(`${lines.map((line) => `${prefix}${line}`).join("\n")}\n`);
+  }
+
+  return {
+    name: "console",
+
+    async start(handlers) {
+      lineReader = readline.createInterface({ input, terminal: false });
+      lineReader.on("line", (line) => {
+        const text = line.trim();
+        if (!text) return;
+        sequence += 1;
+        const message = {
+          id: `console-${Date.now()}-${sequence}`,
+          chatId: user.jid,
+          isGroup: false,
+          senderIds: [user.jid],
+          text,
+          mentionsGateway: false,
+          textWithoutMention: text,
+          image: null,
+          document: null,
+          replyTo: null,
+        };
+        pending = pending.then(() => handlers.onMessage(message));
+      });
+      lineReader.on("close", () => {
+        pending = pending.then(() => handlers.onEnd?.());
+      });
+      ready = true;
+      print("", `Console transport ready. Messages run as ${user.role}; try /help.`);
+      handlers.onReady();
+    },
+
+    async stop() {
+      ready = false;
+      lineReader?.close();
+    },
+
+    isReady() {
+      return ready;
+    },
+
+    async sendText(chatId, text) {
+      print("< ", text);
+    },
+
+    async sendDocument(chatId, { data, fileName, caption }) {
+      await fs.mkdir(downloadDir, { recursive: true });
+      const target = path.join(downloadDir, `${Date.now()}-${path.basename(fileName)}`);
+      await fs.writeFile(target, data);
+      print("< ", `[document ${fileName} saved to ${target}]${caption ? `\n${caption}` : ""}`);
+    },
+  };
+}
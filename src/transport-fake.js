@@ -0,0 +1,79 @@
+/**
+ * In-memory transport for end-to-end runs: `receive()` injects a message as
+ * if a user had sent it and resolves once the gateway has handled it; every
+ * outgoing text/document is recorded in `sent`.
+ *
+ *   const transport = createFakeTransport();
+ *   await startGateway({ transport });
+ *   await transport.receive("491234567890@s.whatsapp.net", "/status");
+ *   transport.sent.at(-1).text;
+ *   await shutdown("done"); // releases the gateway lock; returns instead of exiting
+ */
+export function createFakeTransport() {
+  let handlers = null;
+  let ready = false;
+  let sequence = 0;
+  const sent = [];
+  const waiters = [];
+
+  function record(entry) {
+    sent.push(entry);
+    for (const waiter of [...waiters]) {
+      if (waiter.predicate(entry)) {
+        waiters.splice(waiters.indexOf(waiter), 1);
+        waiter.resolve(entry);
+      }
+    }
+  }
+
+  return {
+    name: "fake",
+    sent,
+
+    async start(nextHandlers) {
+      handlers = nextHandlers;
+      ready = true;
+      handlers.onReady();
+    },
+
+    async stop() {
+      ready = false;
+    },
+
+    isReady() {
+      return ready;
+    },
+
+    async sendText(chatId, text, { replyTo = null } = {}) {
+      record({ type: "text", chatId, text, replyTo });
+    },
+
+    async sendDocument(chatId, document, { replyTo = null } = {}) {
+      record({ type: "document", chatId, ...document, replyTo });
+    },
+
+    async receive(senderId, text, { chatId = senderId, isGroup = false, mentionsGateway = false, image = null, document = null } = {}) {
+      sequence += 1;
+      const id = `fake-${sequence}`;
+      await handlers.onMessage({
+        id,
+        chatId,
+        isGroup,
+        senderIds: [senderId],
+        text,
+        mentionsGateway,
+        textWithoutMention: text,
+        image,
+        document,
+        replyTo: isGroup ? { id } : null,
+      });
+    },
+
+    // Resolves with the first message sent from now on that matches.
+    waitFor(predicate) {
+      return new Promise((resolve) => {
+        waiters.push({ predicate, resolve });
+      });
+    },
+  };
+}
@@ -0,0 +1,365 @@
+import fs from "node:fs/promises";
+
+import makeWASocket, {
+  DisconnectReason,
+  downloadMediaMessage,
+  fetchLatestBaileysVersion,
+  getContentType,
+  jidNormalizedUser,
+  normalizeMessageContent,
+  useMultiFileAuthState,
+} from "@whiskeysockets/baileys";
+import pino from "pino";
+import qrcode from "qrcode-terminal";
+
+import { formatWhatsAppMarkdown } from "./message-format.js";
+
+const sentMessageTtlMs = 30 * 60 * 1000;
+
+function extractTextFromMessage(normalized) {
+  const contentType = normalized ? getContentType(normalized) : null;
+  if (!contentType) {
+    return "";
+  }
+
+  switch (contentType) {
+    case "conversation":
+      return normalized.conversation || "";
+    case "extendedTextMessage":
+      return normalized.extendedTextMessage?.text || "";
+    case "imageMessage":
+      return normalized.imageMessage?.caption || "";
+    case "videoMessage":
+      return normalized.videoMessage?.caption || "";
+    case "documentMessage":
+      return normalized.documentMessage?.caption || "";
+    case "buttonsResponseMessage":
+      return normalized.buttonsResponseMessage?.selectedDisplayText
+        || normalized.buttonsResponseMessage?.selectedButtonId
+        || "";
+    case "listResponseMessage":
+      return normalized.listResponseMessage?.title
+        || normalized.listResponseMessage?.singleSelectReply?.selectedRowId
+        || "";
+    case "templateButtonReplyMessage":
+      return normalized.templateButtonReplyMessage?.selectedDisplayText
+        || normalized.templateButtonReplyMessage?.selectedId
+        || "";
+    default:
+      return "";
+  }
+}
+
+function isGroupJid(jid) {
+  return Boolean(jid) && jid.endsWith("@g.us");
+}
+
+function isDirectChatJid(jid) {
+  if (!jid) return false;
+  return jid.endsWith("@s.whatsapp.net") || jid.endsWith("@lid");
+}
+
+function extractIncomingJidInfo(key) {
+  const primary = key?.remoteJid || "";
+  const alt = key?.remoteJidAlt || "";
+  const all = [primary, alt].filter(Boolean);
+  const isGroup = isGroupJid(primary);
+  // In groups the sender is the participant, not the chat.
+  const senderJids = isGroup
+    ? [key?.participant, key?.participantAlt, key?.participantPn].filter(Boolean)
+    : all;
+
+  return {
+    senderJids,
+    isGroup,
+    replyJid: primary || alt || "",
+    hasDirectChatJid: all.some((jid) => isDirectChatJid(jid)),
+  };
+}
+
+function shouldReconnect(lastDisconnectError) {
+  const reason = String(lastDisconnectError?.message || "").toLowerCase();
+  if (reason.includes("conflict") || reason.includes("replaced")) {
+    return false;
+  }
+  const statusCode = lastDisconnectError?.output?.statusCode;
+  return statusCode !== DisconnectReason.loggedOut;
+}
+
+/**
+ * WhatsApp (Baileys) transport. Keeps the linked-device socket alive, turns
+ * `messages.upsert` into transport messages and sends replies with quotes.
+ */
+export function createWhatsAppTransport({ config, logger }) {
+  let sockRef = null;
+  let ready = false;
+  let stopped = false;
+  let reconnectTimer = null;
+  let connectionEpoch = 0;
+  let connectInProgress = false;
+  let handlers = null;
+  const sentMessageIds = new Map();
+
+  function rememberSentMessageId(messageId) {
+    if (!messageId) return;
+    sentMessageIds.set(messageId, Date.now());
+  }
+
+  function wasSentByGateway(messageId) {
+    if (!messageId) return false;
+
+    const now = Date.now();
+    for (const [id, ts] of sentMessageIds) {
+      if (now - ts > sentMessageTtlMs) {
+        sentMessageIds.delete(id);
+      }
+    }
+
+    if (sentMessageIds.has(messageId)) {
+      sentMessageIds.delete(messageId);
+      return true;
+    }
+    return false;
+  }
+
+  function getOwnJids(sock) {
+    return [sock?.user?.id, sock?.user?.lid]
+      .filter(Boolean)
+      .map((jid) => jidNormalizedUser(jid));
+  }
+
+  function downloader(sock, msg) {
+    return () => downloadMediaMessage(
+      msg,
+      "buffer",
+      {},
+      { logger, reuploadRequest: sock.updateMediaMessage }
+    );
+  }
+
+  function toTransportMessage(sock, msg) {
+    if (!msg?.key) return null;
+    const jidInfo = extractIncomingJidInfo(msg.key);
+    if (!jidInfo.replyJid) return null;
+    if (!jidInfo.isGroup && !jidInfo.hasDirectChatJid) return null;
+    if (wasSentByGateway(msg.key.id)) return null;
+
+    const normalized = normalizeMessageContent(msg.message);
+    const contentType = normalized ? getContentType(normalized) : null;
+    const text = extractTextFromMessage(normalized);
+    const image = contentType === "imageMessage" ? normalized.imageMessage : null;
+    const document = contentType === "documentMessage" ? normalized.documentMessage : null;
+
+    let mentionsGateway = false;
+    let textWithoutMention = text;
+    if (jidInfo.isGroup) {
+      const ownJids = getOwnJids(sock);
+      const mentioned = normalized?.[contentType]?.contextInfo?.mentionedJid || [];
+      mentionsGateway = mentioned.some((jid) => ownJids.includes(jidNormalizedUser(jid)));
+      const ownUsers = ownJids.map((jid) => jid.split("@")[0]);
+      textWithoutMention = text.replace(/@(\d+)\s*/g, (full, digits) => (ownUsers.includes(digits) ? "" : full));
+    }
+
+    return {
+      id: msg.key.id || "",
+      chatId: jidInfo.replyJid,
+      isGroup: jidInfo.isGroup,
+      senderIds: jidInfo.senderJids,
+      text,
+      mentionsGateway,
+      textWithoutMention,
+      image: image
+        ? { mimetype: image.mimetype, size: image.fileLength, download: downloader(sock, msg) }
+        : null,
+      document: document
+        ? {
+          fileName: document.fileName || document.title,
+          mimetype: document.mimetype,
+          size: document.fileLength,
+          download: downloader(sock, msg),
+        }
+        : null,
+      // Only the key plus a text preview is kept, so the handle stays JSON-safe for the persisted queue.
+      replyTo: { key: msg.key, message: { conversation: text } },
+    };
+  }
+
+  function scheduleReconnect(reason) {
+    if (stopped) return;
+    if (reconnectTimer) return;
+
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      logger.info({ reason }, "running scheduled reconnect");
+      void connect();
+    }, config.reconnectDelayMs);
+  }
+
+  async function connect() {
+    if (stopped) return;
+    if (connectInProgress) {
+      logger.debug("connect already in progress, skipping");
+      return;
+    }
+    connectInProgress = true;
+    const epoch = ++connectionEpoch;
+    try {
+      await fs.mkdir(config.authDir, { recursive: true });
+
+      const { state, saveCreds } = await useMultiFileAuthState(config.authDir);
+      const { version } = await fetchLatestBaileysVersion();
+
+      logger.info({ version }, "starting WhatsApp socket");
+
+      if (sockRef) {
+        try {
+          sockRef.ev.removeAllListeners("connection.update");
+          sockRef.ev.removeAllListeners("messages.upsert");
+          sockRef.ev.removeAllListeners("creds.update");
+          sockRef.ws?.close();
+        } catch {
+          // ignore teardown errors
+        }
+      }
+
+      const sock = makeWASocket({
+        auth: state,
+        version,
+        printQRInTerminal: false,
+        markOnlineOnConnect: false,
+        browser: ["OpenClaw-Style-Gateway", "Windows", "1.0.0"],
+        syncFullHistory: false,
+        logger: pino({ level: "error" }),
+      });
+      sockRef = sock;
+      ready = false;
+
+      sock.ev.on("creds.update", saveCreds);
+
+      sock.ev.on("connection.update", (update) => {
+        if (epoch !== connectionEpoch || sock !== sockRef) {
+          return;
+        }
+
+        const { connection, lastDisconnect, qr } = update;
+
+        if (qr) {
+          logger.info("scan this QR code with WhatsApp linked devices");
+          qrcode.generate(qr, { small: true });
+        }
+
+        if (connection === "open") {
+          logger.info("WhatsApp gateway connected");
+          ready = true;
+          handlers.onReady();
+          return;
+        }
+
+        if (connection === "close") {
+          if (sock === sockRef) {
+            sockRef = null;
+            ready = false;
+          }
+
+          const reasonText = String(lastDisconnect?.error?.message || "");
+          const reconnect = shouldReconnect(lastDisconnect?.error);
+          logger.warn(
+            {
+              reconnect,
+              reason: reasonText,
+            },
+            "WhatsApp connection closed"
+          );
+
+          if (!reconnect && /conflict|replaced/i.test(reasonText)) {
+            logger.error(
+              "Conflict detected: another client is replacing this session. Stop other gateway instances, clear session, then re-link."
+            );
+          }
+
+          if (!reconnect || stopped) {
+            return;
+          }
+
+          scheduleReconnect(reasonText || "socket_closed");
+        }
+      });
+
+      sock.ev.on("messages.upsert", async (event) => {
+        if (epoch !== connectionEpoch || sock !== sockRef) {
+          return;
+        }
+
+        if (event.type !== "notify") return;
+        if (config.logRawEvents) {
+          logger.debug({ event }, "raw messages.upsert event");
+        }
+
+        for (const msg of event.messages) {
+          try {
+            const message = toTransportMessage(sock, msg);
+            if (message) {
+              await handlers.onMessage(message);
+            }
+          } catch (error) {
+            logger.error({ err: error }, "failed to process incoming message");
+          }
+        }
+      });
+    } catch (error) {
+      logger.error({ err: error }, "connect attempt failed");
+      scheduleReconnect(error?.message || "connect_error");
+    } finally {
+      connectInProgress = false;
+    }
+  }
+
+  function requireSocket() {
+    if (!sockRef) {
+      throw new Error("WhatsApp is not connected");
+    }
+    return sockRef;
+  }
+
+  return {
+    name: "whatsapp",
+    formatMarkdown: formatWhatsAppMarkdown,
+
+    async start(nextHandlers) {
+      handlers = nextHandlers;
+      void connect();
+    },
+
+    async stop() {
+      stopped = true;
+      if (reconnectTimer) {
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+      }
+      try {
+        sockRef?.ws?.close();
+      } catch {
+        // ignore close errors
+      }
+    },
+
+    isReady() {
+      return ready && Boolean(sockRef);
+    },
+
+    async sendText(chatId, text, { replyTo = null } = {}) {
+      const sent = await requireSocket().sendMessage(chatId, { text }, { quoted: replyTo || undefined });
+      rememberSentMessageId(sent?.key?.id);
+    },
+
+    async sendDocument(chatId, { data, fileName, mimetype, caption }, { replyTo = null } = {}) {
+      const sent = await requireSocket().sendMessage(chatId, {
+        document: data,
+        fileName,
+        mimetype,
+        caption: caption || undefined,
+      }, { quoted: replyTo || undefined });
+      rememberSentMessageId(sent?.key?.id);
+    },
+  };
+}
@@ -0,0 +1,36 @@
+// Transports connect the gateway (commands, queue, runner) to a chat surface.
+//
+// A transport is a plain object:
+//   name                               "whatsapp", "console", ...
+//   start({ onMessage, onReady, onEnd }) begin delivering messages
+//   stop()                             disconnect
+//   isReady()                          true while replies can be delivered
+//   sendText(chatId, text, { replyTo })
+//   sendDocument(chatId, { data, fileName, mimetype, caption }, { replyTo })
+//   formatMarkdown(text)               optional: rewrites Codex's Markdown answers
+//                                      for the chat app before they are chunked
+//
+// Incoming messages passed to onMessage:
+//   { id, chatId, isGroup, senderIds, text, mentionsGateway, textWithoutMention,
+//     image: { mimetype, size, download() } | null,
+//     document: { fileName, mimetype, size, download() } | null,
+//     replyTo }
+// Chat and sender ids use WhatsApp jids (`<number>@s.whatsapp.net`) on every
+// transport so users keep the same sessions whichever way they come in.
+// `replyTo` is an opaque, JSON-safe handle the transport uses to quote.
+
+export async function createTransport(name, options) {
+  switch (name) {
+    case "whatsapp": {
+      // Loaded lazily so the console transport works without Baileys installed.
+      const { createWhatsAppTransport } = await import("./transport-whatsapp.js");
+      return createWhatsAppTransport(options);
+    }
+    case "console": {
+      const { createConsoleTransport } = await import("./transport-console.js");
+      return createConsoleTransport(options);
+    }
+    default:
+      throw new Error(`Unknown transport: ${name}`);
+  }
+}
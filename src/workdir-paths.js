@@ -0,0 +1,118 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+
+import { walkFiles } from "./workdir-state.js";
+
+// Resolves /get targets (paths and globs) relative to a workdir. Everything
+// is compared by real path, so symlinks and junctions cannot lead outside it.
+
+export function isPathInside(parent, child) {
+  const relative = path.relative(parent, child);
+  return relative === "" || (!relative.startsWith("..") && !path.isAbsolute(relative));
+}
+
+export function hasGlobPattern(value) {
+  return /[*?[]/.test(value);
+}
+
+export function globToRegExp(pattern) {
+  let source = "";
+  for (let i = 0; i < pattern.length; i += 1) {
+    const char = pattern[i];
+    if (char === "*") {
+      if (pattern[i + 1] === "*") {
+        i += 1;
+        if (pattern[i + 1] === "/") {
+          i += 1;
+          source += "(?:.*/)?";
+        } else {
+          source += ".*";
+        }
+      } else {
+        source += "[^/]*";
+      }
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "[") {
+      const close = pattern.indexOf("]", i + 1);
+      if (close === -1) {
+        source += "\\[";
+      } else {
+        source += `[${pattern.slice(i + 1, close).replace(/^!/, "^").replace(/\\/g, "\\\\")}]`;
+        i = close;
+      }
+    } else {
+      source += char.replace(/[.+^${}()|\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`, process.platform === "win32" ? "i" : "");
+}
+
+export async function resolveWorkdirPath(workdir, relativeInput) {
+  const raw = String(relativeInput || "").replace(/\\/g, "/");
+  if (!raw) {
+    throw new Error("Missing path.");
+  }
+  if (path.isAbsolute(raw) || /^[A-Za-z]:/.test(raw)) {
+    throw new Error("Use a path relative to the workdir.");
+  }
+
+  const root = await fs.realpath(workdir);
+  const resolved = path.resolve(root, raw);
+  if (!isPathInside(root, resolved)) {
+    throw new Error(`Path escapes the workdir: ${raw}`);
+  }
+  const real = await fs.realpath(resolved);
+  if (!isPathInside(root, real)) {
+    throw new Error(`Path escapes the workdir: ${raw}`);
+  }
+  return { root, real };
+}
+
+/**
+ * Real paths of the files `input` names inside `workdir`: one path, or every
+ * file matching a glob (`*`, `**`, `?`, `[...]`). Glob matches that resolve
+ * outside the workdir are dropped.
+ */
+export async function expandGetTargets(workdir, input) {
+  const raw = String(input || "").replace(/\\/g, "/");
+  if (!hasGlobPattern(raw)) {
+    return [(await resolveWorkdirPath(workdir, raw)).real];
+  }
+  if (path.isAbsolute(raw) || raw.split("/").includes("..")) {
+    throw new Error("Glob patterns must stay inside the workdir.");
+  }
+
+  const root = await fs.realpath(workdir);
+  const segments = raw.split("/");
+  const firstGlob = segments.findIndex((segment) => hasGlobPattern(segment));
+  let baseDir;
+  try {
+    baseDir = await fs.realpath(path.join(root, ...segments.slice(0, firstGlob)));
+  } catch {
+    return [];
+  }
+  if (!isPathInside(root, baseDir)) {
+    throw new Error(`Path escapes the workdir: ${segments.slice(0, firstGlob).join("/")}`);
+  }
+  const matcher = globToRegExp(raw);
+  const skipDirs = raw.includes(".git/") ? [] : [".git", "node_modules"];
+
+  // Matched as written under the base, which may be a link to another folder of the workdir.
+  const basePrefix = segments.slice(0, firstGlob).map((segment) => `${segment}/`).join("");
+  const matches = new Set();
+  for (const filePath of await walkFiles(baseDir, { skipDirs })) {
+    const relative = `${basePrefix}${path.relative(baseDir, filePath).split(path.sep).join("/")}`;
+    if (!matcher.test(relative)) continue;
+    let real;
+    try {
+      real = await fs.realpath(filePath);
+    } catch {
+      continue;
+    }
+    if (isPathInside(root, real)) {
+      matches.add(real);
+    }
+  }
+  return [...matches].sort();
+}
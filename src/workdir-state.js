@@ -0,0 +1,471 @@
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+import { findGitRoot, GATEWAY_GIT_IDENTITY, runGit } from "./git.js";
+
+// Before/after snapshots of a workdir, the change report between them and
+// checkpoints that can be restored later. Git workdirs are snapshotted as
+// tree objects written through a scratch index, so the user's index, stash
+// and branches are never touched. Other folders fall back to a copy of their
+// files (in memory for reports, on disk for checkpoints).
+
+const SKIP_DIRS = [".git", "node_modules"];
+const MAX_PATCH_CHARS = 5 * 1024 * 1024;
+// Line diffs above this many line pairs only report counts.
+const MAX_DIFF_CELLS = 4_000_000;
+const DIFF_CONTEXT = 3;
+
+export async function walkFiles(rootDir, { skipDirs = [], limit = 5000 } = {}) {
+  const files = [];
+  const pending = [rootDir];
+  while (pending.length > 0 && files.length < limit) {
+    const dir = pending.pop();
+    let entries = [];
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch {
+      continue;
+    }
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (!skipDirs.includes(entry.name)) {
+          pending.push(fullPath);
+        }
+      } else if (entry.isFile()) {
+        files.push(fullPath);
+        if (files.length >= limit) break;
+      }
+    }
+  }
+  return files;
+}
+
+// Writes the current working tree (tracked + untracked, minus ignored files)
+// as a tree object, using a copy of the real index to keep git's stat cache.
+// The copy keeps the index mtime: git re-reads entries whose file mtime is not
+// older than the index ("racy git"), which a fresh mtime would hide.
+async function copyIndex(source, target) {
+  try {
+    await fs.copyFile(source, target);
+    const { atime, mtime } = await fs.stat(source);
+    await fs.utimes(target, atime, mtime);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function writeWorkingTree(workdir) {
+  const scratchDir = await fs.mkdtemp(path.join(os.tmpdir(), "codex-gateway-index-"));
+  const scratchIndex = path.join(scratchDir, "index");
+  try {
+    const indexPath = await runGit(["rev-parse", "--path-format=absolute", "--git-path", "index"], { cwd: workdir });
+    const copied = indexPath.ok && await copyIndex(indexPath.stdout.trim(), scratchIndex);
+    const env = { GIT_INDEX_FILE: scratchIndex };
+    if (!copied) {
+      const hasHead = await runGit(["rev-parse", "--verify", "HEAD"], { cwd: workdir });
+      await runGit(hasHead.ok ? ["read-tree", "HEAD"] : ["read-tree", "--empty"], { cwd: workdir, env });
+    }
+    const added = await runGit(["add", "-A", "--", "."], { cwd: workdir, env });
+    if (!added.ok) {
+      throw new Error(`git add failed: ${added.stderr.trim()}`);
+    }
+    const tree = await runGit(["write-tree"], { cwd: workdir, env });
+    if (!tree.ok) {
+      throw new Error(`git write-tree failed: ${tree.stderr.trim()}`);
+    }
+    return tree.stdout.trim();
+  } finally {
+    await fs.rm(scratchDir, { recursive: true, force: true });
+  }
+}
+
+function isBinary(buffer) {
+  return buffer.subarray(0, 8000).includes(0);
+}
+
+async function snapshotFiles(workdir, { maxFiles, maxBytes }) {
+  const files = new Map();
+  let total = 0;
+  let complete = true;
+  const paths = await walkFiles(workdir, { skipDirs: SKIP_DIRS, limit: maxFiles + 1 });
+  if (paths.length > maxFiles) {
+    complete = false;
+    paths.length = maxFiles;
+  }
+  for (const filePath of paths) {
+    let stats;
+    try {
+      stats = await fs.stat(filePath);
+    } catch {
+      continue;
+    }
+    let content = null;
+    if (total + stats.size <= maxBytes) {
+      try {
+        content = await fs.readFile(filePath);
+        total += content.length;
+      } catch {
+        // unreadable files are compared by size/mtime only
+      }
+    } else {
+      complete = false;
+    }
+    const relative = path.relative(workdir, filePath).split(path.sep).join("/");
+    files.set(relative, { size: stats.size, mtimeMs: stats.mtimeMs, content });
+  }
+  return { files, complete };
+}
+
+/**
+ * Captures the workdir state before or after a job.
+ * Returns { kind: "git", workdir, tree } or { kind: "files", workdir, files, complete }.
+ */
+export async function captureWorkdirState(workdir, { maxFiles = 5000, maxBytes = 50 * 1024 * 1024 } = {}) {
+  if (await findGitRoot(workdir)) {
+    return { kind: "git", workdir, tree: await writeWorkingTree(workdir) };
+  }
+  const { files, complete } = await snapshotFiles(workdir, { maxFiles, maxBytes });
+  return { kind: "files", workdir, files, complete };
+}
+
+function splitLinesForDiff(text) {
+  if (!text) return [];
+  const lines = text.split("\n");
+  if (lines.at(-1) === "") lines.pop();
+  return lines;
+}
+
+// Classic LCS table; fine for the file sizes a chat report cares about.
+function diffLines(oldLines, newLines) {
+  const rows = oldLines.length;
+  const cols = newLines.length;
+  if ((rows + 1) * (cols + 1) > MAX_DIFF_CELLS) {
+    return null;
+  }
+  const table = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+  for (let i = rows - 1; i >= 0; i -= 1) {
+    for (let j = cols - 1; j >= 0; j -= 1) {
+      table[i][j] = oldLines[i] === newLines[j]
+        ? table[i + 1][j + 1] + 1
+        : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < rows || j < cols) {
+    if (i < rows && j < cols && oldLines[i] === newLines[j]) {
+      ops.push({ type: " ", text: oldLines[i], oldIndex: i, newIndex: j });
+      i += 1;
+      j += 1;
+    } else if (i < rows && (j >= cols || table[i + 1][j] >= table[i][j + 1])) {
+      ops.push({ type: "-", text: oldLines[i], oldIndex: i, newIndex: j });
+      i += 1;
+    } else {
+      ops.push({ type: "+", text: newLines[j], oldIndex: i, newIndex: j });
+      j += 1;
+    }
+  }
+  return ops;
+}
+
+function formatHunks(ops) {
+  const lines = [];
+  let index = 0;
+  while (index < ops.length) {
+    if (ops[index].type === " ") {
+      index += 1;
+      continue;
+    }
+    const start = Math.max(0, index - DIFF_CONTEXT);
+    let end = index;
+    // Extend the hunk while changes are closer than two context blocks.
+    while (end < ops.length) {
+      let next = end;
+      while (next < ops.length && ops[next].type !== " ") next += 1;
+      let gap = next;
+      while (gap < ops.length && ops[gap].type === " ") gap += 1;
+      end = next;
+      if (gap >= ops.length || gap - next > DIFF_CONTEXT * 2) {
+        end = Math.min(ops.length, next + DIFF_CONTEXT);
+        break;
+      }
+      end = gap;
+    }
+    const hunk = ops.slice(start, end);
+    const oldCount = hunk.filter((op) => op.type !== "+").length;
+    const newCount = hunk.filter((op) => op.type !== "-").length;
+    const oldStart = hunk[0].oldIndex + (oldCount > 0 ? 1 : 0);
+    const newStart = hunk[0].newIndex + (newCount > 0 ? 1 : 0);
+    lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    for (const op of hunk) {
+      lines.push(`${op.type}${op.text}`);
+    }
+    index = end;
+  }
+  return lines;
+}
+
+function compareFileSnapshots(before, after) {
+  const changes = [];
+  const patches = [];
+  const paths = [...new Set([...before.files.keys(), ...after.files.keys()])].sort();
+
+  for (const filePath of paths) {
+    const oldFile = before.files.get(filePath);
+    const newFile = after.files.get(filePath);
+    if (oldFile && newFile) {
+      const sameContent = oldFile.content && newFile.content
+        ? oldFile.content.equals(newFile.content)
+        : oldFile.size === newFile.size && oldFile.mtimeMs === newFile.mtimeMs;
+      if (sameContent) continue;
+    }
+
+    const status = !oldFile ? "added" : !newFile ? "deleted" : "modified";
+    const oldContent = oldFile?.content ?? (oldFile ? null : Buffer.alloc(0));
+    const newContent = newFile?.content ?? (newFile ? null : Buffer.alloc(0));
+    const change = { path: filePath, status, added: null, removed: null, binary: false };
+    changes.push(change);
+
+    if (!oldContent || !newContent) continue;
+    if (isBinary(oldContent) || isBinary(newContent)) {
+      change.binary = true;
+      patches.push(`diff ${filePath}\nBinary file ${status}`);
+      continue;
+    }
+    const ops = diffLines(splitLinesForDiff(oldContent.toString("utf8")), splitLinesForDiff(newContent.toString("utf8")));
+    if (!ops) continue;
+    change.added = ops.filter((op) => op.type === "+").length;
+    change.removed = ops.filter((op) => op.type === "-").length;
+    patches.push([
+      `diff ${filePath}`,
+      `--- ${oldFile ? `a/${filePath}` : "/dev/null"}`,
+      `+++ ${newFile ? `b/${filePath}` : "/dev/null"}`,
+      ...formatHunks(ops),
+    ].join("\n"));
+  }
+
+  return { changes, patch: patches.join("\n") };
+}
+
+async function compareGitTrees(workdir, beforeTree, afterTree) {
+  const gitStatus = { A: "added", M: "modified", D: "deleted", R: "renamed", C: "added", T: "modified" };
+  const names = await runGit(["diff", "--name-status", "-M", "--relative", beforeTree, afterTree, "--", "."], { cwd: workdir });
+  const numstat = await runGit(["diff", "--numstat", "-M", "--relative", beforeTree, afterTree, "--", "."], { cwd: workdir });
+  const patch = await runGit(["diff", "-M", "--relative", beforeTree, afterTree, "--", "."], { cwd: workdir });
+  if (!names.ok || !numstat.ok) {
+    throw new Error(`git diff failed: ${(names.stderr || numstat.stderr).trim()}`);
+  }
+
+  const counts = numstat.stdout.split("\n").filter(Boolean).map((line) => line.split("\t"));
+  const changes = names.stdout.split("\n").filter(Boolean).map((line, index) => {
+    const [code, ...files] = line.split("\t");
+    const [added, removed] = counts[index] || [];
+    return {
+      path: files.at(-1),
+      from: files.length > 1 ? files[0] : null,
+      status: gitStatus[code[0]] || "modified",
+      added: added === "-" ? null : Number(added),
+      removed: removed === "-" ? null : Number(removed),
+      binary: added === "-",
+    };
+  });
+  return { changes, patch: patch.stdout };
+}
+
+/**
+ * Compares two states from captureWorkdirState.
+ * Returns { changes: [{ path, from?, status, added, removed, binary }], patch, complete }.
+ */
+export async function compareWorkdirStates(before, after) {
+  let result;
+  if (before.kind === "git" && after.kind === "git") {
+    result = before.tree === after.tree
+      ? { changes: [], patch: "" }
+      : await compareGitTrees(after.workdir, before.tree, after.tree);
+    result.complete = true;
+  } else if (before.kind === "files" && after.kind === "files") {
+    result = compareFileSnapshots(before, after);
+    result.complete = before.complete && after.complete;
+  } else {
+    throw new Error("Workdir changed between git and non-git during the job");
+  }
+  if (result.patch.length > MAX_PATCH_CHARS) {
+    result.patch = `${result.patch.slice(0, MAX_PATCH_CHARS)}\n[patch truncated]`;
+  }
+  return result;
+}
+
+/**
+ * Keeps a state from captureWorkdirState restorable: git trees become a
+ * commit on the hidden `ref` (so gc keeps them), file snapshots are written
+ * to `dir`. Returns { kind, commit } or { kind, dir, complete }.
+ */
+export async function saveCheckpoint(state, { ref, dir, message }) {
+  if (state.kind === "git") {
+    const commit = await runGit(["commit-tree", state.tree, "-m", message], { cwd: state.workdir, env: GATEWAY_GIT_IDENTITY });
+    if (!commit.ok) {
+      throw new Error(`git commit-tree failed: ${commit.stderr.trim()}`);
+    }
+    const sha = commit.stdout.trim();
+    const updated = await runGit(["update-ref", ref, sha], { cwd: state.workdir });
+    if (!updated.ok) {
+      throw new Error(`git update-ref failed: ${updated.stderr.trim()}`);
+    }
+    return { kind: "git", commit: sha, ref };
+  }
+
+  const filesDir = path.join(dir, "files");
+  await fs.mkdir(filesDir, { recursive: true });
+  const saved = [];
+  let complete = state.complete;
+  for (const [relative, file] of state.files) {
+    if (!file.content) {
+      complete = false;
+      continue;
+    }
+    const target = path.join(filesDir, ...relative.split("/"));
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, file.content);
+    saved.push(relative);
+  }
+  await fs.writeFile(path.join(dir, "manifest.json"), `${JSON.stringify({ files: saved, complete }, null, 2)}\n`, "utf8");
+  return { kind: "files", dir, complete };
+}
+
+/**
+ * Puts the workdir back to a checkpoint from saveCheckpoint. Files created
+ * since are deleted; git ignored files and (for incomplete file snapshots)
+ * files that were not copied are left alone. HEAD and the index are not moved.
+ * Returns { restored, removed } path lists.
+ */
+export async function restoreCheckpoint(workdir, checkpoint) {
+  if (checkpoint.kind === "git") {
+    const current = await writeWorkingTree(workdir);
+    const target = `${checkpoint.commit}^{tree}`;
+    const diff = await runGit(["diff", "--name-status", "--no-renames", "--relative", target, current, "--", "."], { cwd: workdir });
+    if (!diff.ok) {
+      throw new Error(`git diff failed: ${diff.stderr.trim()}`);
+    }
+    const restored = [];
+    const removed = [];
+    for (const line of diff.stdout.split("\n").filter(Boolean)) {
+      const [code, filePath] = line.split("\t");
+      if (code === "A") {
+        removed.push(filePath);
+        await fs.rm(path.join(workdir, ...filePath.split("/")), { force: true });
+      } else {
+        restored.push(filePath);
+      }
+    }
+    if (restored.length > 0) {
+      // Restore through a scratch index: the user's index is not touched.
+      const scratchDir = await fs.mkdtemp(path.join(os.tmpdir(), "codex-gateway-index-"));
+      try {
+        const env = { GIT_INDEX_FILE: path.join(scratchDir, "index") };
+        const read = await runGit(["read-tree", target], { cwd: workdir, env });
+        if (!read.ok) {
+          throw new Error(`git read-tree failed: ${read.stderr.trim()}`);
+        }
+        const checkout = await runGit(["checkout-index", "-f", "--stdin"], {
+          cwd: workdir,
+          env,
+          input: `${restored.join("\n")}\n`,
+        });
+        if (!checkout.ok) {
+          throw new Error(`git checkout-index failed: ${checkout.stderr.trim()}`);
+        }
+      } finally {
+        await fs.rm(scratchDir, { recursive: true, force: true });
+      }
+    }
+    return { restored, removed };
+  }
+
+  const manifest = JSON.parse(await fs.readFile(path.join(checkpoint.dir, "manifest.json"), "utf8"));
+  const saved = new Set(manifest.files);
+  const restored = [];
+  const removed = [];
+  if (manifest.complete) {
+    for (const filePath of await walkFiles(workdir, { skipDirs: SKIP_DIRS, limit: Number.MAX_SAFE_INTEGER })) {
+      const relative = path.relative(workdir, filePath).split(path.sep).join("/");
+      if (!saved.has(relative)) {
+        await fs.rm(filePath, { force: true });
+        removed.push(relative);
+      }
+    }
+  }
+  for (const relative of saved) {
+    const source = path.join(checkpoint.dir, "files", ...relative.split("/"));
+    const target = path.join(workdir, ...relative.split("/"));
+    const [before, now] = await Promise.all([
+      fs.readFile(source),
+      fs.readFile(target).catch(() => null),
+    ]);
+    if (now && before.equals(now)) continue;
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, before);
+    restored.push(relative);
+  }
+  return { restored, removed };
+}
+
+export async function deleteCheckpoint(workdir, checkpoint) {
+  if (checkpoint.kind === "git") {
+    await runGit(["update-ref", "-d", checkpoint.ref], { cwd: workdir });
+    return;
+  }
+  await fs.rm(checkpoint.dir, { recursive: true, force: true });
+}
+
+// Git-style letters; "+"/"-" would turn into bullets in chat formatting.
+const STATUS_MARKS = { added: "A", modified: "M", deleted: "D", renamed: "R" };
+
+function formatCounts(change) {
+  if (change.binary) return "binary";
+  const parts = [];
+  if (change.added) parts.push(`+${change.added}`);
+  if (change.removed) parts.push(`-${change.removed}`);
+  return parts.join(" ");
+}
+
+// "Changes (3 files, +12 -4):" plus one line per file, capped at maxLines.
+export function formatChangeSummary(report, { maxLines = 15 } = {}) {
+  if (report.changes.length === 0) {
+    return "No file changes.";
+  }
+  const added = report.changes.reduce((sum, change) => sum + (change.added || 0), 0);
+  const removed = report.changes.reduce((sum, change) => sum + (change.removed || 0), 0);
+  const lines = [`Changes (${report.changes.length} file(s), +${added} -${removed}, /diff for the patch):`];
+  for (const change of report.changes.slice(0, maxLines)) {
+    const name = change.from ? `${change.from} -> ${change.path}` : change.path;
+    const counts = formatCounts(change);
+    lines.push(`${STATUS_MARKS[change.status] || "M"} ${name}${counts ? ` (${counts})` : ""}`);
+  }
+  if (report.changes.length > maxLines) {
+    lines.push(`... and ${report.changes.length - maxLines} more`);
+  }
+  if (!report.complete) {
+    lines.push("(large folder: only part of it was compared)");
+  }
+  return lines.join("\n");
+}
+
+// Patch sections of one file (full path or trailing path segments), or the whole patch.
+export function filterPatch(patch, fileFilter) {
+  if (!fileFilter) return patch;
+  const needle = fileFilter.replace(/\\/g, "/").replace(/^\.\//, "");
+  return patch
+    .split(/^(?=diff )/m)
+    .filter((section) => {
+      const header = section.split("\n", 1)[0];
+      return header.split(" ").some((token) => {
+        const filePath = token.replace(/^[ab]\//, "");
+        return filePath === needle || filePath.endsWith(`/${needle}`);
+      });
+    })
+    .join("");
+}
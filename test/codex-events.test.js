@@ -0,0 +1,42 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  createJsonlParser,
+  extractAgentMessage,
+  extractErrorMessage,
+  extractThreadId,
+} from "../src/codex-events.js";
+
+describe("createJsonlParser", () => {
+  it("emits events split across chunks", () => {
+    const events = [];
+    const parser = createJsonlParser((event) => events.push(event));
+    parser.push('{"type":"thread.started","thread_id":"t-1"}\n{"type":"turn.');
+    assert.equal(events.length, 1);
+    parser.push('started"}\n');
+    assert.deepEqual(events.map((event) => event.type), ["thread.started", "turn.started"]);
+  });
+
+  it("skips non-JSON noise and flushes the last line on end", () => {
+    const events = [];
+    const parser = createJsonlParser((event) => events.push(event));
+    parser.push("warning: something\n{broken\n");
+    parser.push('{"type":"error","message":"boom"}');
+    assert.equal(events.length, 0);
+    parser.end();
+    assert.deepEqual(events, [{ type: "error", message: "boom" }]);
+  });
+});
+
+describe("event extractors", () => {
+  it("reads thread id, agent message and errors", () => {
+    assert.equal(extractThreadId({ type: "thread.started", thread_id: "t-1" }), "t-1");
+    assert.equal(extractThreadId({ type: "turn.started" }), null);
+    assert.equal(extractAgentMessage({ type: "item.completed", item: { type: "agent_message", text: "hi" } }), "hi");
+    assert.equal(extractAgentMessage({ type: "item.completed", item: { type: "reasoning", text: "x" } }), null);
+    assert.equal(extractErrorMessage({ type: "turn.failed", error: { message: "quota" } }), "quota");
+    assert.equal(extractErrorMessage({ type: "error", message: "boom" }), "boom");
+    assert.equal(extractErrorMessage({ type: "turn.completed" }), null);
+  });
+});
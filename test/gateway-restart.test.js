@@ -0,0 +1,163 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+
+import { createFakeTransport } from "../src/transport-fake.js";
+
+const OWNER = "490000000001";
+const OWNER_JID = `${OWNER}@s.whatsapp.net`;
+
+// Boots on the queue, schedules, sessions and favorites a previous run left on
+// disk, with ALLOWED_WORKDIR_ROOTS set. The queue stays paused, so no Codex run starts.
+describe("gateway restart with the fake transport", () => {
+  let tmp;
+  let runtimeDir;
+  let workdir;
+  let link;
+  let ownWorktree;
+  let otherWorktree;
+  let interruptedJobId;
+  let restoredJobId;
+  let transport;
+  let shutdown;
+  let scheduleNotice;
+  let restoreNotice;
+  const savedEnv = { ...process.env };
+
+  before(async () => {
+    tmp = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), "gateway-restart-")));
+    runtimeDir = path.join(tmp, "state", "runtime");
+    const root = path.join(tmp, "root");
+    workdir = path.join(root, "work");
+    // A link inside the allowed root that leads out of it.
+    link = path.join(root, "link");
+    ownWorktree = path.join(runtimeDir, "worktrees", `${OWNER}-iso`);
+    otherWorktree = path.join(runtimeDir, "worktrees", "490000000002-default");
+    await fs.mkdir(runtimeDir, { recursive: true });
+    await fs.mkdir(workdir, { recursive: true });
+    await fs.mkdir(path.join(tmp, "outside"));
+    await fs.symlink(path.join(tmp, "outside"), link, "dir");
+    await fs.mkdir(ownWorktree, { recursive: true });
+    await fs.mkdir(otherWorktree, { recursive: true });
+    const now = Date.now();
+    interruptedJobId = `${now - 9000}-1`;
+    restoredJobId = `${now - 5000}-2`;
+    await fs.writeFile(path.join(runtimeDir, "job-queue.json"), JSON.stringify({
+      paused: true,
+      jobs: [
+        { id: interruptedJobId, state: "running", userNumber: OWNER, remoteJid: OWNER_JID, prompt: "cut off by the restart", enqueuedAt: now - 9000 },
+        { id: restoredJobId, state: "queued", userNumber: OWNER, remoteJid: OWNER_JID, prompt: "left in the queue", enqueuedAt: now - 5000 },
+      ],
+    }));
+    await fs.writeFile(path.join(runtimeDir, "schedules.json"), JSON.stringify({
+      schedules: [
+        {
+          id: "1", userNumber: OWNER, remoteJid: OWNER_JID, kind: "at", expr: "+1m", workdir, target: workdir,
+          prompt: "scheduled run", nextRunAt: now - 1000, createdAt: now - 61_000, lastRunAt: null,
+        },
+      ],
+    }));
+    await fs.writeFile(path.join(runtimeDir, "codex-sessions.json"), JSON.stringify({
+      current: "default",
+      mode: "default",
+      sessions: {
+        default: { workdir: link },
+        iso: {
+          workdir: ownWorktree,
+          worktree: { path: ownWorktree, branch: "codex/iso", baseBranch: "main", repoRoot: workdir, sourceWorkdir: workdir },
+        },
+      },
+    }));
+    await fs.writeFile(path.join(runtimeDir, "codex-workdir-favorites.json"), JSON.stringify({ out: link }));
+    Object.assign(process.env, {
+      ALLOWED_WHATSAPP_NUMBER: OWNER,
+      STATE_ROOT: path.join(tmp, "state"),
+      CODEX_WORKDIR: workdir,
+      ALLOWED_WORKDIR_ROOTS: JSON.stringify([root]),
+      CODEX_COMMAND: process.execPath,
+      LOG_LEVEL: "silent",
+      PROGRESS_MODE: "off",
+      MAX_QUEUE: "1",
+      // The process lock lives in os.tmpdir().
+      TMPDIR: tmp,
+    });
+    // Config is read when the module loads.
+    const gateway = await import("../src/index.js");
+    shutdown = gateway.shutdown;
+    transport = createFakeTransport();
+    restoreNotice = transport.waitFor((message) => /^Gateway restarted\./.test(message.text || ""));
+    scheduleNotice = transport.waitFor((message) => /^Schedule 1 /.test(message.text || ""));
+    await gateway.startGateway({ transport });
+  });
+
+  after(async () => {
+    await shutdown("test done");
+    process.env = savedEnv;
+    await fs.rm(tmp, { recursive: true, force: true });
+  });
+
+  it("restores the queue in order and restarts the interrupted job", async () => {
+    assert.deepEqual((await restoreNotice).text.split("\n"), [
+      "Gateway restarted. Jobs from before the restart:",
+      `- #${interruptedJobId.slice(-6)} restarted from the beginning (the interrupted run may have left partial changes: `
+        + `/diff once it is done, /undo ${interruptedJobId.slice(-6)} to roll back both runs): cut off by the restart`,
+      `- #${restoredJobId.slice(-6)} re-queued: left in the queue`,
+      "The queue is paused; /resume starts it.",
+    ]);
+    await transport.receive(OWNER_JID, "/queue");
+    const queueText = transport.sent.at(-1).text;
+    assert.match(queueText, /^Queue: 2 pending \(paused/);
+    assert.ok(queueText.indexOf(interruptedJobId.slice(-6)) < queueText.indexOf(restoredJobId.slice(-6)), queueText);
+  });
+
+  it("keeps a one-shot schedule that found the queue full", async () => {
+    assert.match((await scheduleNotice).text, /^Schedule 1 is waiting: queue full \(1\)\./);
+    const { schedules } = JSON.parse(await fs.readFile(path.join(runtimeDir, "schedules.json"), "utf8"));
+    assert.deepEqual(schedules.map((schedule) => schedule.id), ["1"]);
+
+    // Workdir changes are refused while the owner has queued work.
+    await transport.receive(OWNER_JID, "/schedule-rm 1");
+    await transport.receive(OWNER_JID, `/cancel ${interruptedJobId}`);
+    await transport.receive(OWNER_JID, `/cancel ${restoredJobId}`);
+    await transport.receive(OWNER_JID, "/queue");
+    assert.match(transport.sent.at(-1).text, /^Queue is empty/);
+  });
+
+  it("falls back to the default workdir when a stored session workdir links out of the roots", async () => {
+    await transport.receive(OWNER_JID, "/status");
+    assert.match(transport.sent.at(-1).text, new RegExp(`- workdir: ${workdir}\n`));
+  });
+
+  it("refuses /cd and /fav through a symlink out of the allowed roots", async () => {
+    const outside = /resolves to .*outside\) is outside the allowed workdir roots/;
+    await transport.receive(OWNER_JID, `/cd ${link}`);
+    assert.match(transport.sent.at(-1).text, /^Could not set workdir: /);
+    assert.match(transport.sent.at(-1).text, outside);
+    await transport.receive(OWNER_JID, "/fav out");
+    assert.match(transport.sent.at(-1).text, /^Could not switch to favorite "out": /);
+    assert.match(transport.sent.at(-1).text, outside);
+    await transport.receive(OWNER_JID, `/fav-add out2 ${link}`);
+    assert.match(transport.sent.at(-1).text, outside);
+  });
+
+  it("refuses to save a document into an inbox that links out of the workdir", async () => {
+    await fs.symlink(path.join(tmp, "outside"), path.join(workdir, "whatsapp-inbox"), "dir");
+    const document = { fileName: "notes.txt", mimetype: "text/plain", size: 2, download: async () => Buffer.from("hi") };
+    await transport.receive(OWNER_JID, "", { document });
+    assert.match(transport.sent.at(-1).text, /^Could not save file: Inbox .* resolves to .*outside, outside the workdir\.$/);
+    assert.deepEqual(await fs.readdir(path.join(tmp, "outside")), []);
+    await fs.rm(path.join(workdir, "whatsapp-inbox"));
+  });
+
+  it("allows the worktrees of the user's own sessions only", async () => {
+    await transport.receive(OWNER_JID, `/cd ${otherWorktree}`);
+    assert.match(transport.sent.at(-1).text, /^Could not set workdir: .* is outside the allowed workdir roots/);
+    await transport.receive(OWNER_JID, `/cd ${path.dirname(otherWorktree)}`);
+    assert.match(transport.sent.at(-1).text, /^Could not set workdir: /);
+
+    await transport.receive(OWNER_JID, "/session-use iso");
+    assert.match(transport.sent.at(-1).text, new RegExp(`\nworkdir: ${ownWorktree}$`));
+  });
+});
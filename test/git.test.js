@@ -0,0 +1,102 @@
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, beforeEach, describe, it } from "node:test";
+
+import { createWorktree, getWorktreeStatus, mergeWorktree, removeWorktree } from "../src/git.js";
+
+const git = (cwd, ...args) =>
+  execFileSync("git", ["-c", "user.name=test", "-c", "user.email=test@example.com", ...args], { cwd, stdio: "pipe" })
+    .toString()
+    .trim();
+
+describe("session worktrees", () => {
+  let tmp;
+  let repo;
+  let count = 0;
+
+  before(async () => {
+    tmp = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), "git-worktree-")));
+    repo = path.join(tmp, "repo");
+    await fs.mkdir(path.join(repo, "app"), { recursive: true });
+    await fs.writeFile(path.join(repo, "app", "main.txt"), "v1\n");
+    git(repo, "init", "-q", "-b", "main");
+    git(repo, "add", "-A");
+    git(repo, "commit", "-qm", "init");
+  });
+
+  after(async () => {
+    await fs.rm(tmp, { recursive: true, force: true });
+  });
+
+  let worktree;
+  beforeEach(async () => {
+    count += 1;
+    worktree = await createWorktree(path.join(repo, "app"), {
+      worktreePath: path.join(tmp, "worktrees", `wt-${count}`),
+      branch: `codex/test-${count}`,
+    });
+  });
+
+  it("creates a branch worktree that maps the workdir's subfolder", async () => {
+    assert.equal(worktree.baseBranch, "main");
+    assert.equal(worktree.subdir, "app");
+    assert.equal(await fs.readFile(path.join(worktree.path, "app", "main.txt"), "utf8"), "v1\n");
+    assert.deepEqual(await getWorktreeStatus(worktree), { exists: true, commitsAhead: 0, uncommitted: 0 });
+    await removeWorktree(worktree);
+  });
+
+  it("commits leftover changes and merges them into the base branch", async () => {
+    await fs.writeFile(path.join(worktree.path, "app", "main.txt"), "v2\n");
+    await fs.writeFile(path.join(worktree.path, "app", "new.txt"), "new\n");
+    assert.equal((await getWorktreeStatus(worktree)).uncommitted, 2);
+
+    const { committed, merged } = await mergeWorktree(worktree, { message: "update main" });
+    assert.match(committed, /^[0-9a-f]{40}$/);
+    assert.equal(git(repo, "rev-parse", "HEAD"), merged);
+    assert.equal(git(repo, "log", "-1", "--format=%s"), `Merge ${worktree.branch}: update main`);
+    assert.equal(await fs.readFile(path.join(repo, "app", "new.txt"), "utf8"), "new\n");
+    await removeWorktree(worktree);
+  });
+
+  it("refuses to merge when the main checkout is on another branch", async () => {
+    git(repo, "checkout", "-q", "-b", "other");
+    try {
+      await assert.rejects(mergeWorktree(worktree, { message: "x" }), /is on other, not main/);
+    } finally {
+      git(repo, "checkout", "-q", "main");
+      await removeWorktree(worktree);
+    }
+  });
+
+  it("aborts a conflicting merge and leaves the main checkout clean", async () => {
+    await fs.writeFile(path.join(worktree.path, "app", "main.txt"), "from worktree\n");
+    await fs.writeFile(path.join(repo, "app", "main.txt"), "from main\n");
+    git(repo, "commit", "-qam", "diverge");
+    const head = git(repo, "rev-parse", "HEAD");
+
+    await assert.rejects(mergeWorktree(worktree, { message: "conflict" }), /failed and was aborted/);
+    assert.equal(git(repo, "rev-parse", "HEAD"), head);
+    assert.equal(git(repo, "status", "--porcelain"), "");
+    await removeWorktree(worktree);
+  });
+
+  it("removes the worktree and branch and returns the tip to recreate it", async () => {
+    await fs.writeFile(path.join(worktree.path, "app", "scratch.txt"), "uncommitted\n");
+    const expectedTip = git(worktree.path, "rev-parse", "HEAD");
+
+    assert.equal(await removeWorktree(worktree), expectedTip);
+    await assert.rejects(fs.access(worktree.path));
+    assert.equal(git(repo, "branch", "--list", worktree.branch), "");
+    assert.equal((await getWorktreeStatus(worktree)).exists, false);
+  });
+
+  it("cleans up a worktree folder that was already deleted by hand", async () => {
+    await fs.rm(worktree.path, { recursive: true, force: true });
+    await removeWorktree(worktree);
+    assert.doesNotMatch(git(repo, "worktree", "list"), new RegExp(`wt-${count}`));
+    assert.equal(git(repo, "branch", "--list", worktree.branch), "");
+  });
+});
@@ -0,0 +1,99 @@
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import { after, before, describe, it } from "node:test";
+
+import { loadConfig } from "../src/config.js";
+import { httpError, startHttpApi } from "../src/http-api.js";
+
+const TOKEN = "test-token-0123456789";
+const silentLogger = { info() {}, warn() {}, error() {} };
+
+describe("startHttpApi", () => {
+  let server;
+  let baseUrl;
+  const calls = [];
+
+  before(async () => {
+    server = startHttpApi({
+      host: "127.0.0.1",
+      port: 0,
+      token: TOKEN,
+      logger: silentLogger,
+      handlers: {
+        getStatus: async () => ({ payload: { queued: 0 } }),
+        enqueue: async (body) => {
+          calls.push(body);
+          return { statusCode: 202, payload: { id: "job-1" } };
+        },
+        getJob: async (id) => {
+          throw httpError(404, `Job not found: ${id}`);
+        },
+        notify: async () => ({ payload: { sent: true } }),
+      },
+    });
+    await once(server, "listening");
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  const request = async (method, path, { token = TOKEN, body } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: token ? { authorization: `Bearer ${token}` } : {},
+      body,
+    });
+    return { status: response.status, json: await response.json() };
+  };
+
+  it("rejects requests without the bearer token", async () => {
+    assert.equal((await request("GET", "/status", { token: null })).status, 401);
+    assert.equal((await request("GET", "/status", { token: `${TOKEN}x` })).status, 401);
+    assert.equal((await request("POST", "/jobs", { token: "wrong", body: "{}" })).status, 401);
+    assert.equal(calls.length, 0);
+  });
+
+  it("routes authorized requests to the handlers", async () => {
+    assert.deepEqual(await request("GET", "/status"), { status: 200, json: { queued: 0 } });
+    assert.deepEqual(await request("POST", "/jobs", { body: '{"prompt":"hi"}' }), { status: 202, json: { id: "job-1" } });
+    assert.deepEqual(calls, [{ prompt: "hi" }]);
+    assert.deepEqual(await request("GET", "/jobs/a%2Fb"), { status: 404, json: { error: "Job not found: a/b" } });
+    assert.equal((await request("DELETE", "/jobs")).status, 404);
+  });
+
+  it("rejects bodies that are not a JSON object", async () => {
+    assert.equal((await request("POST", "/jobs", { body: "[1]" })).status, 400);
+    assert.equal((await request("POST", "/notify", { body: "{oops" })).status, 400);
+  });
+});
+
+describe("HTTP API config", () => {
+  const saved = { ...process.env };
+
+  after(() => {
+    process.env = saved;
+  });
+
+  const load = (env) => {
+    process.env = { ...saved, ALLOWED_WHATSAPP_NUMBER: "491234567890", HTTP_API_PORT: "8787", ...env };
+    return loadConfig().httpApi;
+  };
+
+  it("is off without a port", () => {
+    process.env = { ...saved, ALLOWED_WHATSAPP_NUMBER: "491234567890", HTTP_API_PORT: "" };
+    assert.equal(loadConfig().httpApi, null);
+  });
+
+  it("only binds to loopback addresses", () => {
+    assert.equal(load({ HTTP_API_TOKEN: TOKEN }).host, "127.0.0.1");
+    assert.equal(load({ HTTP_API_TOKEN: TOKEN, HTTP_API_HOST: "::1" }).host, "::1");
+    assert.throws(() => load({ HTTP_API_TOKEN: TOKEN, HTTP_API_HOST: "0.0.0.0" }), /must be a loopback address/);
+  });
+
+  it("requires a token of at least 16 characters", () => {
+    assert.throws(() => load({ HTTP_API_TOKEN: "" }), /HTTP_API_TOKEN must be set/);
+    assert.throws(() => load({ HTTP_API_TOKEN: "short" }), /HTTP_API_TOKEN must be set/);
+  });
+});
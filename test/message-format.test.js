@@ -0,0 +1,59 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { formatWhatsAppMarkdown, numberChunks, splitChunks, splitHead } from "../src/message-format.js";
+
+describe("formatWhatsAppMarkdown", () => {
+  it("rewrites headings, bold, italics, links and bullets", () => {
+    const input = ["## Result", "Some **bold** and *italic* text, see [docs](https://example.com).", "- item", "- [x] done"].join("\n");
+    assert.equal(
+      formatWhatsAppMarkdown(input),
+      ["*Result*", "Some *bold* and _italic_ text, see docs (https://example.com).", "• item", "☑ done"].join("\n")
+    );
+  });
+
+  it("leaves code alone and drops the fence language", () => {
+    const input = ["```js", "const a = **b**;", "```", "use `**x**` here"].join("\n");
+    assert.equal(formatWhatsAppMarkdown(input), ["```", "const a = **b**;", "```", "use `**x**` here"].join("\n"));
+  });
+
+  it("renders tables as an aligned monospace block", () => {
+    const input = ["| a | bb |", "|---|---|", "| ccc | d |"].join("\n");
+    assert.equal(formatWhatsAppMarkdown(input), ["```", "a   | bb", "ccc | d", "```"].join("\n"));
+  });
+});
+
+describe("splitChunks", () => {
+  it("splits on line boundaries within the size", () => {
+    const chunks = splitChunks("aaaa\nbbbb\ncccc", 9);
+    assert.deepEqual(chunks, ["aaaa\nbbbb", "cccc"]);
+  });
+
+  it("closes and reopens a code fence cut between chunks", () => {
+    const lines = ["```sh", ...Array.from({ length: 20 }, (_, i) => `echo line ${i}`), "```"];
+    const chunks = splitChunks(lines.join("\n"), 80);
+    assert.ok(chunks.length > 1);
+    for (const chunk of chunks) {
+      assert.ok(chunk.length <= 80, chunk);
+      assert.equal((chunk.match(/^```/gm) || []).length % 2, 0, chunk);
+    }
+    assert.ok(chunks[1].startsWith("```sh\n"));
+  });
+});
+
+describe("splitHead and numberChunks", () => {
+  it("keeps the head fence-balanced and reopens the fence in the rest", () => {
+    assert.deepEqual(splitHead("one\ntwo\nthree", 8), { head: "one\ntwo", rest: "three" });
+    const x = "x".repeat(20);
+    const y = "y".repeat(20);
+    assert.deepEqual(splitHead(["```", x, y, "```"].join("\n"), 50), {
+      head: ["```", x, "```"].join("\n"),
+      rest: ["```", y, "```"].join("\n"),
+    });
+  });
+
+  it("labels multi-part messages only", () => {
+    assert.deepEqual(numberChunks(["one"]), ["one"]);
+    assert.deepEqual(numberChunks(["a", "b"]), ["(1/2)\na", "(2/2)\nb"]);
+  });
+});
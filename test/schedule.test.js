@@ -0,0 +1,63 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { nextCronRun, parseAtTime, parseCron } from "../src/schedule.js";
+
+// Local times, so the tests hold in any TZ.
+const at = (year, month, day, hour = 0, minute = 0) => new Date(year, month - 1, day, hour, minute).getTime();
+
+describe("parseCron", () => {
+  it("expands lists, ranges, steps and macros", () => {
+    const cron = parseCron("*/15 9-11 * * 1,3");
+    assert.deepEqual([...cron.minutes].sort((a, b) => a - b), [0, 15, 30, 45]);
+    assert.deepEqual([...cron.hours].sort((a, b) => a - b), [9, 10, 11]);
+    assert.deepEqual([...cron.weekdays].sort(), [1, 3]);
+    assert.deepEqual(parseCron("@daily"), parseCron("0 0 * * *"));
+    assert.deepEqual(parseCron("0 9 * jan mon-fri"), parseCron("0 9 * 1 1-5"));
+  });
+
+  it("treats weekday 7 as Sunday", () => {
+    assert.deepEqual([...parseCron("0 0 * * 7").weekdays], [0]);
+  });
+
+  it("rejects malformed expressions", () => {
+    assert.throws(() => parseCron("* * *"), /Cron needs 5 fields/);
+    assert.throws(() => parseCron("61 * * * *"));
+  });
+});
+
+describe("nextCronRun", () => {
+  it("returns the next matching minute strictly after the given time", () => {
+    const cron = parseCron("30 9 * * *");
+    assert.equal(nextCronRun(cron, at(2026, 3, 10, 8, 0)), at(2026, 3, 10, 9, 30));
+    assert.equal(nextCronRun(cron, at(2026, 3, 10, 9, 30)), at(2026, 3, 11, 9, 30));
+  });
+
+  it("matches either day field when both are restricted", () => {
+    // 1st of the month or a Monday; 2026-03-02 is a Monday.
+    const cron = parseCron("0 12 1 * 1");
+    assert.equal(nextCronRun(cron, at(2026, 2, 27)), at(2026, 3, 1, 12, 0));
+    assert.equal(nextCronRun(cron, at(2026, 3, 1, 13, 0)), at(2026, 3, 2, 12, 0));
+  });
+});
+
+describe("parseAtTime", () => {
+  const now = at(2026, 3, 10, 14, 0);
+
+  it("accepts relative offsets", () => {
+    assert.equal(parseAtTime("+30m", now), now + 30 * 60_000);
+    assert.equal(parseAtTime("+2h", now), now + 2 * 3_600_000);
+  });
+
+  it("rolls a past clock time over to tomorrow", () => {
+    assert.equal(parseAtTime("15:30", now), at(2026, 3, 10, 15, 30));
+    assert.equal(parseAtTime("09:00", now), at(2026, 3, 11, 9, 0));
+  });
+
+  it("accepts full dates and rejects invalid ones", () => {
+    assert.equal(parseAtTime("2026-04-01 08:15", now), at(2026, 4, 1, 8, 15));
+    assert.throws(() => parseAtTime("2026-02-30 08:00", now), /Invalid date/);
+    assert.throws(() => parseAtTime("25:00", now), /Invalid time/);
+    assert.throws(() => parseAtTime("tomorrow", now), /Use \+30m/);
+  });
+});
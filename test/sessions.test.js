@@ -0,0 +1,47 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  assertValidSessionName,
+  findSession,
+  hasSession,
+  isValidSessionName,
+  normalizeSessionName,
+} from "../src/sessions.js";
+
+describe("session lookup", () => {
+  const sessions = { main: { threadId: "t-1" }, "work.api": { threadId: null } };
+
+  it("finds own session records", () => {
+    assert.equal(hasSession(sessions, "main"), true);
+    assert.deepEqual(findSession(sessions, "work.api"), { threadId: null });
+  });
+
+  it("ignores Object.prototype members", () => {
+    for (const name of ["constructor", "tostring", "toString", "hasownproperty", "valueOf", "__proto__"]) {
+      assert.equal(hasSession(sessions, name), false, name);
+      assert.equal(findSession(sessions, name), null, name);
+    }
+  });
+
+  it("handles missing input", () => {
+    assert.equal(hasSession(sessions, undefined), false);
+    assert.equal(hasSession(undefined, "main"), false);
+  });
+});
+
+describe("session names", () => {
+  it("normalizes case and whitespace", () => {
+    assert.equal(normalizeSessionName("  Work.API "), "work.api");
+    assert.equal(normalizeSessionName(undefined), "");
+  });
+
+  it("accepts names matching [a-z0-9._-] up to 32 chars", () => {
+    assert.equal(isValidSessionName("main"), true);
+    assert.equal(isValidSessionName("a".repeat(32)), true);
+    assert.equal(isValidSessionName("a".repeat(33)), false);
+    assert.equal(isValidSessionName("_hidden"), false);
+    assert.equal(isValidSessionName("has space"), false);
+    assert.throws(() => assertValidSessionName("../x"), /Session name must match/);
+  });
+});
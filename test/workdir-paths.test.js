@@ -0,0 +1,53 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+
+import { expandGetTargets } from "../src/workdir-paths.js";
+
+describe("expandGetTargets", () => {
+  let tmp;
+  let workdir;
+  let outside;
+
+  before(async () => {
+    tmp = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), "workdir-paths-")));
+    workdir = path.join(tmp, "work");
+    outside = path.join(tmp, "outside");
+    await fs.mkdir(path.join(workdir, "logs"), { recursive: true });
+    await fs.mkdir(outside);
+    await fs.writeFile(path.join(workdir, "logs", "a.log"), "a");
+    await fs.writeFile(path.join(workdir, "logs", "b.txt"), "b");
+    await fs.writeFile(path.join(outside, "secret.log"), "s");
+    await fs.symlink(outside, path.join(workdir, "link"), "dir");
+    await fs.symlink(path.join(outside, "secret.log"), path.join(workdir, "logs", "c.log"));
+    await fs.symlink(outside, path.join(workdir, "logs", "out"), "dir");
+    await fs.symlink(path.join(workdir, "logs"), path.join(workdir, "logs-link"), "dir");
+  });
+
+  after(async () => {
+    await fs.rm(tmp, { recursive: true, force: true });
+  });
+
+  it("matches globs inside the workdir", async () => {
+    assert.deepEqual(await expandGetTargets(workdir, "logs/*.log"), [path.join(workdir, "logs", "a.log")]);
+  });
+
+  it("refuses a glob under a symlinked folder pointing outside", async () => {
+    await assert.rejects(expandGetTargets(workdir, "link/*"), /escapes the workdir/);
+    await assert.rejects(expandGetTargets(workdir, "link/**/*.log"), /escapes the workdir/);
+  });
+
+  // walkFiles never follows links below the base, so only the base itself can lead elsewhere.
+  it("resolves a symlinked glob base by real path", async () => {
+    await assert.rejects(expandGetTargets(workdir, "logs/out/*"), /escapes the workdir/);
+    assert.deepEqual(await expandGetTargets(workdir, "logs-link/*.log"), [path.join(workdir, "logs", "a.log")]);
+  });
+
+  it("refuses plain paths through a symlink or with ..", async () => {
+    await assert.rejects(expandGetTargets(workdir, "link/secret.log"), /escapes the workdir/);
+    await assert.rejects(expandGetTargets(workdir, "../outside/secret.log"), /escapes the workdir/);
+    await assert.rejects(expandGetTargets(workdir, "../*"), /stay inside the workdir/);
+  });
+});
@@ -0,0 +1,190 @@
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+
+import {
+  captureWorkdirState,
+  compareWorkdirStates,
+  deleteCheckpoint,
+  filterPatch,
+  formatChangeSummary,
+  restoreCheckpoint,
+  saveCheckpoint,
+} from "../src/workdir-state.js";
+
+const git = (cwd, ...args) =>
+  execFileSync("git", ["-c", "user.name=test", "-c", "user.email=test@example.com", ...args], { cwd, stdio: "pipe" });
+
+async function writeFiles(dir, files) {
+  for (const [name, content] of Object.entries(files)) {
+    await fs.mkdir(path.dirname(path.join(dir, name)), { recursive: true });
+    await fs.writeFile(path.join(dir, name), content);
+  }
+}
+
+let tmp;
+
+before(async () => {
+  tmp = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), "workdir-state-")));
+});
+
+after(async () => {
+  await fs.rm(tmp, { recursive: true, force: true });
+});
+
+// Same edits in both kinds of workdir: one file modified, one deleted, one added.
+async function runJob(workdir) {
+  await writeFiles(workdir, { "keep.txt": "one\ntwo\n", "old.txt": "bye\n", "src/app.js": "let a = 1;\n" });
+  return async () => {
+    await writeFiles(workdir, { "keep.txt": "one\nTWO\n", "src/new.js": "export {};\n" });
+    await fs.rm(path.join(workdir, "old.txt"));
+  };
+}
+
+for (const kind of ["files", "git"]) {
+  describe(`compareWorkdirStates (${kind})`, () => {
+    let report;
+
+    before(async () => {
+      const workdir = path.join(tmp, kind);
+      await fs.mkdir(workdir);
+      const edit = await runJob(workdir);
+      if (kind === "git") {
+        git(workdir, "init", "-q");
+        git(workdir, "add", "-A");
+        git(workdir, "commit", "-qm", "init");
+      }
+      const beforeState = await captureWorkdirState(workdir);
+      assert.equal(beforeState.kind, kind);
+      await edit();
+      report = await compareWorkdirStates(beforeState, await captureWorkdirState(workdir));
+    });
+
+    it("lists added, modified and deleted files with line counts", () => {
+      const byPath = Object.fromEntries(report.changes.map((change) => [change.path, change]));
+      assert.deepEqual(Object.keys(byPath).sort(), ["keep.txt", "old.txt", "src/new.js"]);
+      assert.equal(byPath["keep.txt"].status, "modified");
+      assert.equal(byPath["old.txt"].status, "deleted");
+      assert.equal(byPath["src/new.js"].status, "added");
+      assert.deepEqual([byPath["keep.txt"].added, byPath["keep.txt"].removed], [1, 1]);
+      assert.equal(report.complete, true);
+    });
+
+    it("produces a unified patch", () => {
+      assert.match(report.patch, /^-two$/m);
+      assert.match(report.patch, /^\+TWO$/m);
+      assert.match(filterPatch(report.patch, "new.js"), /export \{\};/);
+      assert.doesNotMatch(filterPatch(report.patch, "new.js"), /TWO/);
+    });
+  });
+}
+
+for (const kind of ["files", "git"]) {
+  describe(`checkpoints (${kind})`, () => {
+    let workdir;
+    let checkpoint;
+    let edit;
+
+    before(async () => {
+      workdir = path.join(tmp, `checkpoint-${kind}`);
+      await fs.mkdir(workdir);
+      edit = await runJob(workdir);
+      if (kind === "git") {
+        git(workdir, "init", "-q");
+        git(workdir, "add", "-A");
+        git(workdir, "commit", "-qm", "init");
+        // Staged but uncommitted work is part of the checkpoint too.
+        await writeFiles(workdir, { "staged.txt": "staged\n" });
+        git(workdir, "add", "staged.txt");
+      }
+      checkpoint = await saveCheckpoint(await captureWorkdirState(workdir), {
+        ref: "refs/codex-gateway/checkpoints/test",
+        dir: path.join(tmp, `saved-${kind}`),
+        message: "before test job",
+      });
+    });
+
+    it("restores edited and deleted files and removes created ones", async () => {
+      await edit();
+      const { restored, removed } = await restoreCheckpoint(workdir, checkpoint);
+      assert.deepEqual(restored.sort(), ["keep.txt", "old.txt"]);
+      assert.deepEqual(removed, ["src/new.js"]);
+      assert.equal(await fs.readFile(path.join(workdir, "keep.txt"), "utf8"), "one\ntwo\n");
+      assert.equal(await fs.readFile(path.join(workdir, "old.txt"), "utf8"), "bye\n");
+      await assert.rejects(fs.access(path.join(workdir, "src", "new.js")));
+    });
+
+    if (kind === "git") {
+      it("leaves HEAD and the index alone", () => {
+        assert.equal(git(workdir, "log", "--format=%s").toString().trim(), "init");
+        assert.equal(git(workdir, "diff", "--cached", "--name-only").toString().trim(), "staged.txt");
+      });
+    }
+
+    it("is gone after deleteCheckpoint", async () => {
+      await deleteCheckpoint(workdir, checkpoint);
+      if (kind === "git") {
+        assert.throws(() => git(workdir, "rev-parse", "--verify", "-q", checkpoint.ref));
+      } else {
+        await assert.rejects(fs.access(checkpoint.dir));
+      }
+    });
+  });
+}
+
+describe("captureWorkdirState (git index timestamps)", () => {
+  it("sees a same-size edit made in the same clock tick as the last git add", async () => {
+    const workdir = path.join(tmp, "racy");
+    const file = path.join(workdir, "a.txt");
+    const tick = new Date(Math.floor(Date.now() / 1000) * 1000 - 60_000);
+    await writeFiles(workdir, { "a.txt": "one\n" });
+    await fs.utimes(file, tick, tick);
+    git(workdir, "init", "-q");
+    git(workdir, "add", "-A");
+    git(workdir, "commit", "-qm", "init");
+    const beforeState = await captureWorkdirState(workdir);
+
+    // Same size and mtime as recorded in the index, written in the index's own tick:
+    // only git's racy-entry check (entry mtime >= index mtime) notices the change.
+    await fs.writeFile(file, "two\n");
+    await fs.utimes(file, tick, tick);
+    await fs.utimes(path.join(workdir, ".git", "index"), tick, tick);
+
+    const report = await compareWorkdirStates(beforeState, await captureWorkdirState(workdir));
+    assert.deepEqual(report.changes.map((change) => [change.path, change.status]), [["a.txt", "modified"]]);
+  });
+});
+
+describe("formatChangeSummary", () => {
+  it("prints git-style letters, totals and a cap", () => {
+    const report = {
+      complete: false,
+      changes: [
+        { path: "a.txt", status: "added", added: 3, removed: 0 },
+        { path: "b.txt", from: "old/b.txt", status: "renamed", added: 0, removed: 0 },
+        { path: "c.txt", status: "deleted", added: 0, removed: 2 },
+      ],
+    };
+    const lines = formatChangeSummary(report, { maxLines: 2 }).split("\n");
+    assert.equal(lines[0], "Changes (3 file(s), +3 -2, /diff for the patch):");
+    assert.match(lines[1], /^A a\.txt/);
+    assert.match(lines[2], /^R old\/b\.txt -> b\.txt/);
+    assert.equal(lines[3], "... and 1 more");
+    assert.equal(lines[4], "(large folder: only part of it was compared)");
+    assert.equal(formatChangeSummary({ changes: [], complete: true }), "No file changes.");
+  });
+});
+
+describe("filterPatch", () => {
+  const patch = ["diff --git a/src/a.js b/src/a.js", "+a", "diff --git a/lib/xa.js b/lib/xa.js", "+xa", ""].join("\n");
+
+  it("matches full paths or trailing path segments only", () => {
+    assert.equal(filterPatch(patch, "src/a.js"), "diff --git a/src/a.js b/src/a.js\n+a\n");
+    assert.equal(filterPatch(patch, "./a.js"), "diff --git a/src/a.js b/src/a.js\n+a\n");
+    assert.equal(filterPatch(patch, "js"), "");
+    assert.equal(filterPatch(patch, ""), patch);
+  });
+});